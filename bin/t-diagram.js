@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * The t-diagram command, refer to the cli module
+*/
+const cli = require('../src/cli');
+
+cli.run(process.argv.slice(2)).then(function(code) {
+    process.exitCode = code;
+});
@@ -106,6 +106,9 @@ const drawer = new td.TDiagramDrawer(cost_params, 100, 0.3, tdiagram);
 
 console.error("Iteration, Min Cost");
 
+// record the costs of every generation for the report
+const history = new td.report.TDiagramHistory();
+
 // do the learning
 const population = drawer.learn(100, function(iter, costs) {
     var min = costs.reduce(function(x, y) {
@@ -113,24 +116,8 @@ const population = drawer.learn(100, function(iter, costs) {
     }, costs[0].total);
 
     console.error((iter + 1)+","+min);
+    return history.record(iter, costs);
 });
 
-// get the top 10 specimens
-population.sort(function(s1, s2) {
-    return s1.cost.total - s2.cost.total;
-});
-population.splice(10);
-
-// draw them
-console.log("<table><tr>");
-population.forEach(function(specimen) {
-    var ar = Math.round(100 *
-                specimen.diagram.tdiagram.getCanvasWidth() /
-                specimen.diagram.tdiagram.getCanvasHeight()) / 100;
-    console.log("<td>");
-    console.log("<strong>Cost: ", Math.round(specimen.cost.total), "</strong><br>");
-    console.log("<strong>Aspect Ratio: ", ar, "</strong><br>");
-    console.log(specimen.diagram.generateSVG());
-    console.log("</td>");
-});
-console.log("</tr></table>");
+// the report of the top 10 specimens
+console.log(td.report.generate(population, { history: history, top: 10 }));
@@ -6,14 +6,27 @@
  * class is responsible for parsing and drawing (by providing a geometry) of TDiagrams.
  * The TDiagramDrawer on the other hand is responsible to determine breaking points
  * in the diagram such that it can fit in a given box of a given aspect ratio with
- * the minimum amount of intersecting edges.
+ * the minimum amount of intersecting edges. The TDiagramRenderer produces the
+ * final SVG of a layout.
  *
  * To run an example and see the performance, execute the following commands:
  *
  * # cd example
  * # node example.js > /tmp/sample.html 2> /tmp/performance.csv
+ *
+ * The t-diagram command (refer to the cli module) lays out diagram files.
 */
 module.exports = {
     TDiagram: require('./src/diagram'),
     TDiagramDrawer: require('./src/drawer'),
+    TDiagramRenderer: require('./src/renderer'),
+    TDiagramIndex: require('./src/spatial'),
+    operators: require('./src/operators'),
+    terms: require('./src/terms'),
+    optimizers: require('./src/optimizers'),
+    specimen: require('./src/specimen'),
+    importers: require('./src/importers'),
+    exporters: require('./src/exporters'),
+    report: require('./src/report'),
+    TDiagramValidationError: require('./src/validation').TDiagramValidationError,
 }
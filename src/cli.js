@@ -0,0 +1,485 @@
+/**
+ * @module cli
+ *
+ * The t-diagram command: it reads a diagram from a file (or the standard
+ * input), optimizes its layout and writes the best one as SVG, JSON (refer
+ * to the specimen module) or any format of the exporters module. The
+ * progress is written on the standard error. Run `t-diagram --help` for the
+ * options.
+ *
+ * The exit codes are:
+ *
+ * - 0: the layout was written
+ * - 1: the optimization or the output failed
+ * - 2: the command line is invalid
+ * - 3: the input can't be read or parsed
+ * - 4: the diagram is invalid (the problems are listed on the standard error)
+*/
+
+
+const fs = require('fs');
+const helpers = require('./helpers');
+const TDiagram = require('./diagram');
+const TDiagramDrawer = require('./drawer');
+const exporters = require('./exporters');
+const importers = require('./importers');
+const optimizers = require('./optimizers');
+const pages = require('./page');
+const reports = require('./report');
+const terms = require('./terms');
+const TDiagramValidationError = require('./validation').TDiagramValidationError;
+
+
+const EXIT = {
+    OK: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    INPUT: 3,
+    INVALID: 4
+};
+
+
+// the output formats given by the extensions of the files
+const OUTPUTS = { svg: 'svg', json: 'json', graphml: 'graphml', geojson: 'geojson', dot: 'dot', gv: 'dot' };
+
+
+/**
+ * The options of the command: their short name, whether they take a value
+ * (and its type), their description and the only optimizer using them
+*/
+const OPTIONS = {
+    output: { short: 'o', value: 'string', help: 'the file to write (stdout by default)' },
+    format: { short: 'f', value: 'string', help: 'svg (default), png-svg, json, graphml, geojson or dot' },
+    input_format: { value: 'string', help: 'json (default), yaml, csv, tsv or outline' },
+    alpha: { value: 'number', help: 'the weight of the breaks (10 by default)' },
+    beta: { value: 'number', help: 'the weight of the intersections (10 by default)' },
+    gamma: { value: 'number', help: 'the weight of the aspect ratio (2 by default)' },
+    aspect_ratio: { value: 'number', help: 'the prefered aspect ratio (of the page by default)' },
+    cost: { value: 'string', help: 'the cost parameters as JSON or a JSON file' },
+    optimizer: { value: 'string', help: 'genetic (default), annealing or exhaustive' },
+    population: { value: 'number', help: 'the size of the population (genetic, 100 by default)', optimizer: 'genetic' },
+    mutation: { value: 'number', help: 'the probability of a mutation (genetic, 0.3 by default)', optimizer: 'genetic' },
+    generations: { value: 'number', help: 'the number of generations (genetic, 100 by default)', optimizer: 'genetic' },
+    iterations: { value: 'number', help: 'the number of iterations (annealing, 2000 by default)', optimizer: 'annealing' },
+    seed: { value: 'number', help: 'the seed of the random numbers' },
+    workers: { value: 'number', help: 'the number of workers grading the population (genetic)', optimizer: 'genetic' },
+    warm_start: { value: 'string', help: 'a saved layout (JSON output) to start from' },
+    grid: { value: 'number', help: 'the unit of the grid to snap the layout to' },
+    snap: { value: 'string', help: '"children" to break halfway between stations' },
+    page: { value: 'string', help: 'A4, letter, ... or WxH[unit] (e.g. 200x300mm)' },
+    orientation: { value: 'string', help: 'portrait or landscape' },
+    margin: { value: 'number', help: 'the margin of the page, in its unit' },
+    scale: { value: 'number', help: 'a unit of the diagram on the page, it must fit' },
+    theme: { value: 'string', help: 'the theme of the renderer as JSON or a JSON file' },
+    report: { value: 'string', help: 'also write an HTML report of the optimization' },
+    quiet: { short: 'q', help: 'do not report the progress' },
+    help: { short: 'h', help: 'show this help' },
+};
+
+
+/**
+ * The error of an invalid command line
+ *
+ * @param {String} message
+*/
+function UsageError(message) {
+    this.name = 'UsageError';
+    this.message = message;
+}
+
+UsageError.prototype = Object.create(Error.prototype);
+UsageError.prototype.constructor = UsageError;
+
+
+/**
+ * Parse the arguments of the command
+ *
+ * @param {Array.<String>} argv - the arguments (without node and the script)
+ *
+ * @throws {UsageError} if an option is unknown or its value is missing or invalid
+ *
+ * @return {Object} the options (snake_case) and input, the input file (null for
+ *                  the standard input)
+*/
+function parseArgs(argv) {//{{{
+    var args = { input: null };
+    var shorts = {};
+    Object.keys(OPTIONS).forEach(function(name) {
+        if(OPTIONS[name].short) shorts[OPTIONS[name].short] = name;
+    });
+
+    for(var i=0;i<argv.length;i++) {
+        var arg = argv[i];
+        var name = null, value = null;
+
+        if(arg.indexOf('--') == 0 && arg.length > 2) {
+            var eq = arg.indexOf('=');
+            name = (eq < 0 ? arg.slice(2) : arg.slice(2, eq)).replace(/-/g, '_');
+            if(eq >= 0) value = arg.slice(eq + 1);
+        } else if(arg[0] == '-' && arg.length == 2 && arg != '--') {
+            name = shorts[arg[1]];
+            if(name === undefined) throw new UsageError('Unknown option: ' + arg);
+        } else {
+            if(args.input !== null) throw new UsageError('Only one input file can be given');
+            args.input = arg == '-' ? null : arg;
+            continue;
+        }
+
+        var option = Object.prototype.hasOwnProperty.call(OPTIONS, name) ? OPTIONS[name] : undefined;
+        if(option === undefined) throw new UsageError('Unknown option: ' + arg);
+
+        if(option.value === undefined) {
+            if(value !== null) throw new UsageError('The option --' + name + ' takes no value');
+            args[name] = true;
+            continue;
+        }
+
+        if(value === null) {
+            if(i + 1 >= argv.length) throw new UsageError('The option --' + name + ' needs a value');
+            value = argv[++i];
+        }
+        if(option.value == 'number') {
+            if(value.trim() == '' || !isFinite(Number(value)))
+                throw new UsageError('The option --' + name + ' needs a number, got: ' + value);
+            value = Number(value);
+        }
+        args[name] = value;
+    }
+
+    return args;
+}//}}}
+
+
+/**
+ * The help of the command
+ *
+ * @return {String}
+*/
+function usage() {//{{{
+    var lines = Object.keys(OPTIONS).map(function(name) {
+        var option = OPTIONS[name];
+        var flag = (option.short ? '-' + option.short + ', ' : '    ') + '--' + name.replace(/_/g, '-') +
+                   (option.value ? ' <' + option.value + '>' : '');
+        return '  ' + flag + Array(Math.max(2, 30 - flag.length)).join(' ') + option.help;
+    });
+
+    return ['Usage: t-diagram [options] [input]',
+            '',
+            'Lays out the diagram of the input file (the standard input if none or -) and',
+            'writes the best layout found.',
+            '',
+            'Options:'].concat(lines).concat([
+            '',
+            'The formats are guessed from the names of the files.',
+            '',
+            'Exit codes: 0 on success, 1 if the optimization or the output failed, 2 if',
+            'the command line is invalid, 3 if the input can not be read, 4 if the diagram',
+            'is invalid.'
+           ]).join('\n') + '\n';
+}//}}}
+
+
+/**
+ * Read a JSON value given inline or as a file
+ *
+ * @param {String} value
+ * @param {String} option - the name of the option, for the errors
+ *
+ * @throws {UsageError} if it's neither
+ *
+ * @return {*}
+*/
+function jsonArgument(value, option) {//{{{
+    var text = value.trim()[0] == '{' ? value : null;
+    if(text === null) {
+        try {
+            text = fs.readFileSync(value, 'utf8');
+        } catch(e) {
+            throw new UsageError('The option --' + option + ' needs JSON or a JSON file: ' + e.message);
+        }
+    }
+    try {
+        return JSON.parse(text);
+    } catch(e) {
+        throw new UsageError('The option --' + option + ' holds invalid JSON: ' + e.message);
+    }
+}//}}}
+
+
+/**
+ * The page given on the command line
+ *
+ * @param {Object} args
+ *
+ * @throws {UsageError} if it's invalid
+ *
+ * @return {Object|null} refer to the page module
+*/
+function pageArgument(args) {//{{{
+    if(args.page === undefined) return null;
+
+    var page = { preset: args.page };
+    var size = /^(\d+\.?\d*)x(\d+\.?\d*)([a-z]*)$/i.exec(args.page);
+    if(size !== null) page = { width: Number(size[1]), height: Number(size[2]), unit: size[3] || 'px' };
+    if(args.orientation !== undefined) page.orientation = args.orientation;
+    if(args.margin !== undefined) page.margin = args.margin;
+
+    try {
+        pages.resolve(page);
+    } catch(e) {
+        throw new UsageError(e.message);
+    }
+    return page;
+}//}}}
+
+
+/**
+ * The cost parameters given on the command line
+ *
+ * @param {Object} args
+ * @param {Object|null} page
+ *
+ * @throws {UsageError} if the cost is invalid JSON or names an unknown term
+ *
+ * @return {Object} refer to TDiagramCost.cost
+*/
+function costArgument(args, page) {//{{{
+    var cost_params = {
+        alpha: args.alpha === undefined ? 10 : args.alpha,
+        beta: args.beta === undefined ? 10 : args.beta,
+        gamma: args.gamma === undefined ? 2 : args.gamma
+    };
+
+    if(args.aspect_ratio !== undefined) {
+        cost_params.prefered_aspect_ratio = args.aspect_ratio;
+    } else if(page !== null) {
+        var resolved = pages.resolve(page);
+        cost_params.prefered_aspect_ratio = resolved.width / resolved.height;
+    }
+
+    // the layouts must fit the page only if the scale is known
+    if(page !== null && args.scale !== undefined) {
+        cost_params.page = page;
+        cost_params.scale = args.scale;
+    }
+
+    if(args.cost !== undefined) {
+        var given = jsonArgument(args.cost, 'cost');
+        Object.keys(given).forEach(function(k) { cost_params[k] = given[k]; });
+    }
+
+    try {
+        terms.resolve(cost_params);
+    } catch(e) {
+        throw new UsageError(e.message);
+    }
+    return cost_params;
+}//}}}
+
+
+/**
+ * Find the best layout of a diagram as the command line asks for
+ *
+ * @param {TDiagram} tdiagram
+ * @param {Object} cost_params
+ * @param {Object} args
+ * @param {Function : String -> X} report - writes a line of progress
+ *
+ * @return {Promise.<Object>} { best, specimens, history } where specimens are
+ *                            the ones found at the end and history the costs
+ *                            per generation (refer to the report module)
+*/
+function search(tdiagram, cost_params, args, report) {//{{{
+    var optimizer = args.optimizer || 'genetic';
+    var options = { seed: args.seed };
+    if(args.warm_start !== undefined) options.breaks = args.warm_start;
+
+    if(optimizer != 'genetic') {
+        if(args.iterations !== undefined) options.iterations = args.iterations;
+        report('optimizing with ' + optimizer);
+        options.optimizer = optimizer;
+        var ranked = optimizers.optimize(tdiagram, cost_params, options);
+        return Promise.resolve({ best: ranked[0], specimens: ranked, history: null });
+    }
+
+    var generations = args.generations === undefined ? 100 : args.generations;
+    options.workers = args.workers || 0;
+    var drawer = new TDiagramDrawer(cost_params,
+        args.population === undefined ? 100 : args.population,
+        args.mutation === undefined ? 0.3 : args.mutation, tdiagram, options);
+
+    drawer.on('progress', function(e) {
+        report('generation ' + (e.generation + 1) + '/' + generations + ': best cost ' + e.best_cost);
+    });
+    var history = new reports.TDiagramHistory().listen(drawer);
+
+    return drawer.learnAsync(generations).then(function(result) {
+        return { best: result.best, specimens: result.population.concat([result.best]), history: history };
+    });
+}//}}}
+
+
+/**
+ * Produce the output of the best layout
+ *
+ * @param {CostfulDiagram} best
+ * @param {String} format - svg, png-svg, json or the name of an exporter
+ * @param {Object} theme - the theme of the renderer
+ *
+ * @return {String}
+*/
+function output(best, format, theme) {//{{{
+    if(format == 'json') return JSON.stringify(best, null, 2) + '\n';
+    if(format in exporters.exporters) return exporters.write(best.diagram, format);
+    if(format == 'svg') return best.diagram.generateSVG(theme) + '\n';
+
+    // the rasterizers need a size in pixels and an opaque background
+    theme = helpers.extendObjs({ background: 'white' }, theme);
+    if(theme.page) {
+        var page = pages.resolve(theme.page);
+        var px = pages.UNITS[page.unit];
+        theme.page = {
+            width: page.width * px,
+            height: page.height * px,
+            unit: 'px',
+            margin: {
+                top: page.margins.top * px, right: page.margins.right * px,
+                bottom: page.margins.bottom * px, left: page.margins.left * px
+            }
+        };
+    }
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n' +
+           best.diagram.generateSVG(theme) + '\n';
+}//}}}
+
+
+/**
+ * Run the command
+ *
+ * @param {Array.<String>} argv - the arguments (without node and the script)
+ * @param {Object} io - { stdout, stderr } the streams to write on (those of
+ *                      the process by default) and stdin, the file descriptor
+ *                      or the name of the file read without input file
+ *
+ * @return {Promise.<number>} the exit code
+*/
+function run(argv, io) {//{{{
+    io = helpers.extendObjs({ stdout: process.stdout, stderr: process.stderr, stdin: 0 }, io);
+
+    function error(message) { io.stderr.write('t-diagram: ' + message + '\n'); }
+
+    var args, page, cost_params, theme;
+    try {
+        args = parseArgs(argv);
+        if(args.help) {
+            io.stdout.write(usage());
+            return Promise.resolve(EXIT.OK);
+        }
+
+        var format = args.format ||
+            (args.output === undefined ? null : OUTPUTS[args.output.split('.').pop().toLowerCase()]) || 'svg';
+        var formats = ['svg', 'png-svg', 'json'].concat(Object.keys(exporters.exporters));
+        if(formats.indexOf(format) < 0)
+            throw new UsageError('Unknown output format: ' + format + ' (available: ' + formats.join(', ') + ')');
+        args.format = format;
+
+        var available = Object.keys(optimizers.optimizers);
+        if(args.optimizer !== undefined && available.indexOf(args.optimizer) < 0)
+            throw new UsageError('Unknown optimizer: ' + args.optimizer + ' (available: ' + available.join(', ') + ')');
+        Object.keys(OPTIONS).forEach(function(name) {
+            if(args[name] !== undefined && OPTIONS[name].optimizer !== undefined &&
+               OPTIONS[name].optimizer != (args.optimizer || 'genetic'))
+                throw new UsageError('The option --' + name + ' is only used by the ' + OPTIONS[name].optimizer + ' optimizer');
+        });
+        ['population', 'generations', 'iterations'].forEach(function(name) {
+            if(args[name] !== undefined && !(args[name] > 0 && Math.floor(args[name]) === args[name]))
+                throw new UsageError('The option --' + name + ' needs a positive integer, got: ' + args[name]);
+        });
+        if(args.workers !== undefined && !(args.workers >= 0 && Math.floor(args.workers) === args.workers))
+            throw new UsageError('The option --workers needs a non-negative integer, got: ' + args.workers);
+        if(args.mutation !== undefined && !(args.mutation >= 0 && args.mutation <= 1))
+            throw new UsageError('The option --mutation needs a probability between 0 and 1, got: ' + args.mutation);
+        if(args.grid !== undefined && !(args.grid > 0))
+            throw new UsageError('The option --grid needs a positive number, got: ' + args.grid);
+        if(args.snap !== undefined && args.snap !== 'children')
+            throw new UsageError('Unknown snap: ' + args.snap + ' (available: children)');
+        if(args.warm_start !== undefined) args.warm_start = jsonArgument(args.warm_start, 'warm-start');
+
+        page = pageArgument(args);
+        cost_params = costArgument(args, page);
+        theme = args.theme === undefined ? {} : jsonArgument(args.theme, 'theme');
+        if(page !== null) theme.page = page;
+    } catch(e) {
+        if(!(e instanceof UsageError)) throw e;
+        error(e.message);
+        io.stderr.write('Run t-diagram --help for the options\n');
+        return Promise.resolve(EXIT.USAGE);
+    }
+
+    var input;
+    try {
+        var text = fs.readFileSync(args.input === null ? io.stdin : args.input, 'utf8');
+        var input_format = args.input_format || (args.input === null ? null : importers.formatOf(args.input)) || 'json';
+        input = importers.read(text, input_format);
+    } catch(e) {
+        error('can not read ' + (args.input || 'the standard input') + ': ' + e.message);
+        return Promise.resolve(EXIT.INPUT);
+    }
+
+    var tdiagram;
+    try {
+        var options = helpers.extendObjs({}, input.options);
+        if(args.grid !== undefined) options.grid = args.grid;
+        if(args.snap !== undefined) options.snap = args.snap;
+        tdiagram = new TDiagram(input.nodes, options);
+    } catch(e) {
+        if(!(e instanceof TDiagramValidationError)) {
+            error(e.message);
+            return Promise.resolve(EXIT.INPUT);
+        }
+        error(e.message);
+        return Promise.resolve(EXIT.INVALID);
+    }
+
+    function report(line) {
+        if(!args.quiet) io.stderr.write(line + '\n');
+    }
+
+    // search throws if the optimizer can't start (e.g. invalid options)
+    return Promise.resolve().then(function() {
+        return search(tdiagram, cost_params, args, report);
+    }).then(function(found) {
+        if(args.report !== undefined)
+            fs.writeFileSync(args.report, reports.generate(found.specimens, { history: found.history, theme: theme }));
+
+        var best = found.best;
+        if(!best || best.cost.disqualified.length > 0) {
+            error('no layout satisfies the constraints' +
+                  (best ? ' (' + best.cost.disqualified.join(', ') + ')' : ''));
+            return EXIT.FAILURE;
+        }
+
+        report('best cost ' + best.cost.total + ' with ' + best.diagram.num_branches + ' breaks and ' +
+               best.diagram.intersections().total + ' intersections');
+
+        var result = output(best, args.format, theme);
+        if(args.output === undefined) io.stdout.write(result);
+        else fs.writeFileSync(args.output, result);
+        return EXIT.OK;
+    }).catch(function(e) {
+        error(e.message);
+        return EXIT.FAILURE;
+    });
+}//}}}
+
+
+
+module.exports = {
+    EXIT: EXIT,
+    OPTIONS: OPTIONS,
+    UsageError: UsageError,
+    parseArgs: parseArgs,
+    usage: usage,
+    run: run,
+}
@@ -1,5 +1,40 @@
 const cts = require('./constants');
 const helpers = require('./helpers');
+const validation = require('./validation');
+const TDiagramLayout = require('./layout');
+
+/*
+ * Snap the lengths and the stations of a diagram to a grid: they become the
+ * closest multiples of the grid unit. The children without a branch_at are
+ * given the one computed from their seq.
+ *
+ * @param {Array.<Object>} diagram - it's modified
+ * @param {number} grid - the grid unit
+ *
+ * @return {Array.<Object>}
+*/
+function snapToGrid(diagram, grid) {//{{{
+    function round(x) { return Math.round(x / grid) * grid; }
+
+    // no prototype: a node may be named __proto__ or constructor
+    var lengths = Object.create(null);
+    var siblings = Object.create(null);
+    diagram.forEach(function(node) {
+        lengths[node.name] = node.length;
+        siblings[node.parent] = (siblings[node.parent] || 0) + 1;
+    });
+
+    diagram.forEach(function(node) {
+        node.length = round(node.length);
+        if(node.branch_at !== undefined && node.branch_at !== null)
+            node.branch_at = round(node.branch_at);
+        else if(node.parent in lengths)
+            node.branch_at = round((node.seq + 1) / siblings[node.parent] * lengths[node.parent]);
+    });
+
+    return diagram;
+}//}}}
+
 
 /**
  * A diagram is a list of nodes N that looks like:
@@ -10,7 +45,7 @@ const helpers = require('./helpers');
  *    parent : string, // empty or null refers to the root
  *    direction : string, // 'left' or 'right'
  *    length : number, // the length of the branch
- *    branch_at : number, // the x coord to branch at, if branch_at < 0, we use seq to compute it
+ *    branch_at : number, // the x coord to branch at, if not provided, we use seq to compute it
  *    seq : number, // the number of the child wrt to its parent
  *    properties : Object // additional properties
  * }
@@ -20,10 +55,54 @@ const helpers = require('./helpers');
  * then node_i.parent = node_j.name for j < i, i.e. the parent must be in the list
  * before all of its children.
  *
+ * The diagram may contain several roots (a forest), every root is laid out as
+ * its own tree and the trees are then placed next to each other without
+ * overlapping. The placement is controlled by the options:
+ *
+ * ```
+ * {
+ *    forest : string, // 'horizontal' (side by side, default) or 'vertical' (stacked)
+ *    forest_gap : number, // the space left between two consecutive trees (default 20)
+ *    grid : number, // the unit of the grid everything is snapped to (default null, no grid)
+ *    snap : string // 'children' to only break the branches halfway between
+ *                  // two consecutive stations (default null, anywhere)
+ * }
+ * ```
+ *
+ * On a grid, the lengths and the stations (branch_at, computed from seq when
+ * not provided) are rounded to multiples of the grid unit and so are the breaks
+ * and the gap between the trees: all the coordinates are on the grid.
+ *
+ * The diagram is validated before the tree is built (refer to TDiagram.validate).
+ * The list provided is copied and never modified, all the state derived from
+ * it (children, coordinates, ...) lives in the TDiagram object.
+ *
  * @param {Array.<Object>} - the list of nodes as described above
+ * @param {Object} options - the layout options as described above
+ *
+ * @throws {TDiagramValidationError} if the diagram is invalid
+ * @throws {Error} if the grid or the snap option is invalid
  */
-function TDiagram(diagram) {
-    this.diagram = diagram;
+function TDiagram(diagram, options) {
+    validation.assertValid(diagram);
+
+    this.diagram = helpers.deepCopy(diagram);
+    this.options = helpers.extendObjs({
+        forest: 'horizontal',
+        forest_gap: 20,
+        grid: null,
+        snap: null
+    }, options);
+
+    if(this.options.grid !== null && !(this.options.grid > 0))
+        throw new Error('The grid must be a positive number, got ' + this.options.grid);
+    if(this.options.snap !== null && this.options.snap !== 'children')
+        throw new Error('Unknown snap: ' + this.options.snap + ' (available: children)');
+
+    if(this.options.grid !== null) {
+        this.diagram = snapToGrid(this.diagram, this.options.grid);
+        this.options.forest_gap = Math.ceil(this.options.forest_gap / this.options.grid) * this.options.grid;
+    }
 
     var spread = 1;
     var margins = { top: 0, left: 0 };
@@ -31,6 +110,9 @@ function TDiagram(diagram) {
     // remember whether the computation of the coordinates was performed
     var coord_computed = false;
 
+    // the layout used to apply breaks, built when needed
+    var layout = null;
+
     var self = this; // to make life easier
 
 
@@ -39,17 +121,18 @@ function TDiagram(diagram) {
      * Build the tree from the diagram.
      */
     this.tree = (function(diagram) {
-        var tree = diagram;
+        // work on a copy so that the nodes of this.diagram stay clean
+        var items = helpers.deepCopy(diagram);
 
         // build a dictionary with its keys being the nodes' name
-        nodes = diagram.reduce(function(tree, item) {
+        var nodes = items.reduce(function(tree, item) {
             item.children = [];
             tree[item.name] = item;
             return tree;
-        }, {});
+        }, Object.create(null)); // any name, __proto__ included
 
         // go across the nodes backwards and increasingly build the tree
-        tree = diagram.reverse().reduce(function(tree, item) {
+        var tree = items.reverse().reduce(function(tree, item) {
             if (item.parent in tree) {
                 tree[item.parent].children = [item].concat(tree[item.parent].children);
                 delete tree[item.name];
@@ -59,7 +142,7 @@ function TDiagram(diagram) {
         }, nodes);
 
         return tree;
-    })(diagram);
+    })(this.diagram);
 
 
     /**
@@ -114,14 +197,97 @@ function TDiagram(diagram) {
 
 
     /**
-     * This function will return the root node of the current tree
+     * Return the list of nodes of the diagram in the input format (refer to
+     * the documentation of the TDiagram class). The list returned is a fresh
+     * copy, it is safe to modify it or to give it to another TDiagram.
+     *
+     * @return {Array.<Object>}
+    */
+    this.toNodes = function() {//{{{
+        return this.diagram.map(function(node) {
+            var clean = {
+                name: node.name,
+                parent: node.parent,
+                direction: node.direction,
+                length: node.length,
+                seq: node.seq
+            };
+
+            if(node.branch_at !== null && node.branch_at !== undefined)
+                clean.branch_at = node.branch_at;
+            if(node.properties !== undefined)
+                clean.properties = helpers.deepCopy(node.properties);
+
+            return clean;
+        });
+    }//}}}
+
+
+    /**
+     * Return the layout of the diagram (refer to the layout module), it's
+     * computed once and shared by everything breaking this diagram.
+     *
+     * @return {TDiagramLayout}
+    */
+    this.getLayout = function() {//{{{
+        if(layout === null) layout = new TDiagramLayout(this);
+        return layout;
+    }//}}}
+
+
+    /**
+     * Snap a break genome to the positions allowed by the grid and the snap
+     * option, refer to TDiagramLayout.snap
+     *
+     * @param {Object} breaks - normalized breaks (refer to TDiagramCost.normalizeBreaks)
+     *
+     * @return {Object}
+    */
+    this.snapBreaks = function(breaks) {//{{{
+        return self.getLayout().snap(breaks);
+    }//}}}
+
+
+    /**
+     * This function will return the root nodes of the current forest, in the
+     * order in which they were provided
+     *
+     * @return {Array.<Object>}
+    */
+    this.getRoots = function() {//{{{
+        var tree = this.tree;
+        return this.diagram.filter(function(node) {
+            return node.parent === null || node.parent === undefined || node.parent === '';
+        }).map(function(node) {
+            return tree[node.name];
+        });
+    }//}}}
+
+
+    /**
+     * This function will return the root node of the current tree. If the
+     * diagram is a forest then the root of the first tree is returned, refer
+     * to getRoots to get all of them.
      *
      * @return {Object}
     */
     this.getRoot = function() {//{{{
-        // return the first tree node, ignore the others if any exist
-        for(var root in this.tree) return this.tree[root];
-        return null;
+        var roots = this.getRoots();
+        return roots.length > 0 ? roots[0] : null;
+    }//}}}
+
+
+    /*
+     * Apply a function on every node of a subtree (the root included)
+     *
+     * @param {Object} root - the root of the subtree
+     * @param {Function : Object -> X} func
+    */
+    function walk(root, func) {//{{{
+        func(root);
+        root.children.forEach(function(child) {
+            walk(child, func);
+        });
     }//}}}
 
 
@@ -148,9 +314,10 @@ function TDiagram(diagram) {
         root.coordinates.x = parent.coordinates.x;
         root.coordinates.y = parent.coordinates.y;
 
-        // the delta to update by
+        // the delta to update by, the roots start on a branch of length 0 so
+        // their seq (optional) doesn't matter
         var delta = root.branch_at == null || root.branch_at == undefined ?
-            (root.seq + 1) / parent.children.length * parent.length :
+            (parent.length == 0 ? 0 : (root.seq + 1) / parent.children.length * parent.length) :
             root.branch_at;
 
         root.coordinates[getCoordToUpdate(parent.pointing)] += delta * getDirectionToUpdate(parent.pointing);
@@ -196,20 +363,47 @@ function TDiagram(diagram) {
      *
      * The function will also add a property pointing with values
      * from POINTING_UP, ..., POINTING_LEFT
+     *
+     * In a forest, every tree is laid out from the origin and then translated
+     * so that its bounding box starts right after the one of the previous tree
+     * (to the right, or below if the forest option is 'vertical'). The first
+     * tree is never translated.
     */
     this.computeCoord = function() {//{{{
         coord_computed = true;
 
-        var root = this.getRoot();
-        var parent = {
-            coordinates: { x: 0, y: 0},
-            length: 0,
-            direction: 'right',
-            pointing: cts.POINTING_UP,
-            children: [root]
-        };
+        var coord = this.options.forest === 'vertical' ? 'y' : 'x';
+        var gap = this.options.forest_gap;
+        var cursor = null; // where the next tree should start
 
-        setUpCoordinates(root, parent);
+        this.getRoots().forEach(function(root) {
+            var parent = {
+                coordinates: { x: 0, y: 0},
+                length: 0,
+                direction: 'right',
+                pointing: cts.POINTING_UP,
+                children: [root]
+            };
+
+            setUpCoordinates(root, parent);
+
+            // find the extent of the tree along the arrangement axis
+            var min = Number.POSITIVE_INFINITY;
+            var max = Number.NEGATIVE_INFINITY;
+            walk(root, function(node) {
+                min = Math.min(min, node.coordinates[coord]);
+                max = Math.max(max, node.coordinates[coord]);
+            });
+
+            var offset = cursor === null ? 0 : cursor - min;
+            if(offset != 0) {
+                walk(root, function(node) {
+                    node.coordinates[coord] += offset;
+                });
+            }
+
+            cursor = max + offset + gap;
+        });
     }//}}}
 
 
@@ -276,14 +470,23 @@ function TDiagram(diagram) {
      * Produce a map from the nodes' name to their geometry. The geometry of
      * the node is the object containing the direction it's pointing towards
      * (refer to POINTING_UP, ..., POINTING_LEFT), its length and
-     * its coordinates (an object with x, y keys) and the name of its parent.
+     * its coordinates (an object with x, y keys), the name of its parent and
+     * the user properties (if any).
+     *
+     * If no root is provided then the geometry of the whole forest is produced.
+     *
+     * @param {Object} root - the root of the subtree
+     * @param {Object} obj - the map to fill (a new one if not provided)
      *
      * @return {Object}
     */
-    this.getGeometry = requiresCoordinates(function(root = null) {//{{{
-        if(root == null) root = this.getRoot();
-
-        var obj = {};
+    this.getGeometry = requiresCoordinates(function(root = null, obj = Object.create(null)) {//{{{
+        if(root == null) {
+            this.getRoots().forEach(function(r) {
+                self.getGeometry(r, obj);
+            });
+            return obj;
+        }
 
         obj[root.name] = {
             name: root.name,
@@ -299,17 +502,27 @@ function TDiagram(diagram) {
         };
 
         if(root.branch_at !== undefined) obj[root.name].branch_at = root.branch_at;
+        if(root.properties !== undefined) obj[root.name].properties = helpers.deepCopy(root.properties);
 
-        var children = root.children.map(function(child) {
-            return self.getGeometry(child);
-        }).reduce(function(total, child) {
-            return helpers.extendObjs(total, child);
-        }, {});
+        root.children.forEach(function(child) {
+            self.getGeometry(child, obj);
+        });
 
-        return helpers.extendObjs(obj, children);
+        return obj;
     });//}}}
 
     
 }
 
+
+/**
+ * Validate a diagram without throwing. Refer to the validation module for the
+ * list of checks performed.
+ *
+ * @param {Array.<Object>} nodes - the list of nodes
+ *
+ * @return {Array.<Object>} the list of problems, empty if the diagram is valid
+*/
+TDiagram.validate = validation.validate;
+
 module.exports = TDiagram;
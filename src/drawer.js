@@ -1,5 +1,10 @@
+const EventEmitter = require('events');
 const TDiagramCost = require('./cost');
 const helpers = require('./helpers');
+const operators = require('./operators');
+const TDiagramWorkerPool = require('./pool');
+const terms = require('./terms');
+const specimens = require('./specimen');
 
 /**
  * Create the engine to find the most optimal TDiagram shape
@@ -8,23 +13,111 @@ const helpers = require('./helpers');
  * of a tdiagram. Refer to TDiagramCost class for the cost function.
  *
  * @param {object} cost_params - an object containing the values for alpha, beta,
- *                               gamma and prefered_aspect_ratio
+ *                               gamma and prefered_aspect_ratio, or the terms
+ *                               of the cost (refer to the terms module)
  * @param {number} population_size - the original size of the population
  * @param {number} mutation_prob - the probability of a mutation
  * @param {TDiagram} diagram - the diagram to optimize
+ * @param {Object} options - additional options:
+ *        seed: the seed of the random number generator, the same diagram,
+ *              parameters and seed always produce the same population
+ *        random: a random number generator to use instead (a function
+ *                behaving like Math.random), takes precedence over the seed
+ *        selection: the selection operator, 'threshold' (default), 'tournament',
+ *                   'rank' or a function (refer to the operators module)
+ *        crossover: the crossover operator, 'uniform' (default) or a function
+ *        mutation: the mutation operator, 'standard' (default) or a function
+ *        mutation_rates: the probabilities of the mutations of the standard
+ *                        operator, an object with the keys perturb, remove,
+ *                        move, add and flip (each one defaults to mutation_prob)
+ *        mutation_sigma: the deviation of the perturbation of a break point
+ *                        (defaults to 0.05)
+ *        max_breaks: the maximum number of breaks the mutations put on a
+ *                    single branch (defaults to 3)
+ *        elitism: the number of best specimens copied as they are into the
+ *                 next generation (defaults to 0)
+ *        tournament_size: the size of the tournaments of the tournament
+ *                         selection (defaults to 3)
+ *        workers: the number of workers grading the population in parallel
+ *                 in learnAsync (defaults to 0, i.e. no worker), refer to
+ *                 TDiagramWorkerPool
+ *        worker_factory: a function creating a worker, needed in the browser
+ *                        (e.g. function() { return new Worker('worker.js'); })
+ *        breaks: a break genome or a saved specimen to start from, e.g. the
+ *                layout of the diagram before it was edited: the population
+ *                starts with its breaks (refer to specimen.inherit) and
+ *                mutations of them instead of random breaks
+ *
+ * The breaks of a specimen map the name of a node to the list of its breaks,
+ * refer to TDiagramCost.introduceBreaks. The diagram of a specimen is only
+ * built the first time it's accessed. JSON.stringify saves a specimen with
+ * the settings of the drawer, refer to the specimen module.
+ *
+ * The drawer is an EventEmitter, it emits a 'progress' event after every
+ * generation with an object { generation, best_cost, best, costs, mutations }
+ * (best being the best specimen ever found) and a 'done' event at the end of
+ * learnAsync.
  *
  * @type {CostfulDiagram} {{diagram: TDiagramCost, id: number, breaks: Object, cost: number}}
  * @type {CostlessDiagram} {{diagram: TDiagramCost, breaks: Object, id: number}}
 */
-function TDiagramDrawer(cost_params, population_size, mutation_prob, diagram) {
+function TDiagramDrawer(cost_params, population_size, mutation_prob, diagram, options) {
+    EventEmitter.call(this);
+
     var self = this;
     this.diagram = diagram;
     this.geometry = this.diagram.getGeometry();
+    this.options = helpers.extendObjs({
+        selection: 'threshold',
+        crossover: 'uniform',
+        mutation: 'standard',
+        elitism: 0,
+        tournament_size: 3,
+        mutation_sigma: 0.05,
+        max_breaks: 3,
+        workers: 0,
+        worker_factory: null
+    }, options);
+    this.options.mutation_rates = helpers.extendObjs({
+        perturb: mutation_prob,
+        remove: mutation_prob,
+        move: mutation_prob,
+        add: mutation_prob,
+        flip: mutation_prob
+    }, this.options.mutation_rates);
+
+    // only the genome is kept of a saved specimen to start from
+    if(this.options.breaks !== undefined && this.options.breaks !== null)
+        this.options.breaks = specimens.inherit(this.options.breaks, this.diagram);
+
+    var random = this.options.random || helpers.createRandom(this.options.seed);
+    var counter = 0; // to have an id for every specimen
 
+    var select = operators.resolve(operators.selection, this.options.selection, 'selection');
+    var crossover = operators.resolve(operators.crossover, this.options.crossover, 'crossover');
+    var mutate = operators.resolve(operators.mutation, this.options.mutation, 'mutation');
+
+    // how the specimens are found, saved with them (refer to the specimen module)
+    var settings = {
+        optimizer: 'genetic',
+        cost_params: cost_params,
+        population_size: population_size,
+        mutation_prob: mutation_prob,
+        options: self.options
+    };
+
+    this.mutation_prob = mutation_prob;
     this.probability_of_adding_branch = mutation_prob;
     this.population = createPopulation();
 
-    var counter = 0; // to have an id for every specimen
+    // the specimen with the lowest cost ever graded
+    this.best = null;
+
+    // the number of times each mutation was applied in the last generation
+    this.mutations = {};
+
+    // the pool of workers, created by the first parallel grading
+    var pool = null;
 
 
     /**
@@ -33,14 +126,10 @@ function TDiagramDrawer(cost_params, population_size, mutation_prob, diagram) {
      *
      * @param {CostlessDiagram} specimen
      *
-     * @return {branches_factor: number,
-     *          intersection_factor: number,
-     *          ar_factor: number,
-     *          total: number}
+     * @return {Object} refer to TDiagramCost.cost
     */
     function cost(specimen) {//{{{
-        return specimen.diagram.cost(cost_params.alpha, cost_params.beta,
-            cost_params.gamma, cost_params.prefered_aspect_ratio);
+        return specimen.diagram.cost(cost_params);
     }//}}}
 
 
@@ -52,36 +141,60 @@ function TDiagramDrawer(cost_params, population_size, mutation_prob, diagram) {
      *                           breaks introduced
     */
     function createRandomSpecimenFromBreaks(breaks) {//{{{
-        var tdiagramBreaker = new TDiagramCost(diagram);
-
         if(typeof breaks !== 'object') {
             breaks = Object.keys(self.geometry).filter(function(x) {
-                return Math.random() < self.probability_of_adding_branch &&
+                return random() < self.probability_of_adding_branch &&
                        !self.geometry[x].hidden;
             }).reduce(function(total, node) {
-                total[node] = Math.random() * 0.8 + 0.1;
+                total[node] = [{
+                    at: random() * 0.8 + 0.1,
+                    direction: random() < 0.5 ? 'left' : 'right'
+                }];
                 return total;
             }, {});
         }
 
-        tdiagramBreaker.introduceBreaks(breaks);
+        // on a grid or with snapped breaks the search space is discrete
+        breaks = diagram.snapBreaks(TDiagramCost.normalizeBreaks(breaks));
 
-        return {
-            diagram: tdiagramBreaker,
+        var tdiagramBreaker = null;
+        var specimen = {
             breaks: breaks,
             id: counter++
         };
+
+        // the diagram is built lazily, the workers grade the specimens from
+        // their breaks only
+        Object.defineProperty(specimen, 'diagram', {
+            enumerable: true,
+            get: function() {
+                if(tdiagramBreaker === null) {
+                    tdiagramBreaker = new TDiagramCost(diagram);
+                    tdiagramBreaker.introduceBreaks(breaks);
+                }
+                return tdiagramBreaker;
+            }
+        });
+
+        return specimens.attach(specimen, settings);
     }//}}}
 
 
     /**
-     * Create a random population
+     * Create a random population, or the mutations of the genome to start from
+     * (the breaks option) with the genome itself
      *
      * @return {Array.<CostlessDiagram>}
     */
     function createPopulation() {//{{{
-        var population = Array(population_size).fill(undefined).map(createRandomSpecimenFromBreaks);
-        return population;
+        if(self.options.breaks === undefined || self.options.breaks === null)
+            return Array(population_size).fill(undefined).map(createRandomSpecimenFromBreaks);
+
+        var start = self.options.breaks;
+        return Array(population_size).fill(undefined).map(function(x, i) {
+            if(i == 0) return createRandomSpecimenFromBreaks(helpers.deepCopy(start));
+            return createRandomSpecimenFromBreaks(mutate(helpers.deepCopy(start), self, random, {}));
+        });
     }//}}}
 
 
@@ -93,24 +206,105 @@ function TDiagramDrawer(cost_params, population_size, mutation_prob, diagram) {
         self.population = self.population.map(function(specimen) {
             if(!('cost' in specimen))
                 specimen.cost = cost(specimen);
+            if(self.best === null || operators.compareCosts(specimen.cost, self.best.cost) < 0)
+                self.best = specimen;
             return specimen;
         });
     }//}}}
 
+
     /**
-     * Perform the selection part of the GA algorithm. This will restrict the size
-     * of the population array, requires that gradePopulation was called before
+     * The asynchronous version of gradePopulation. If the workers option is
+     * set, the specimens are graded in parallel by a pool of workers,
+     * otherwise this is the same as gradePopulation. Both produce the same
+     * costs.
+     *
+     * @return {Promise}
     */
-    this.performSelection = function() {//{{{
-        var max = self.population.reduce(function(t, x) {
-            return t < x.cost.total ? x.cost.total : t;
-        }, 0);
-        self.population = self.population.filter(function(specimen) {
-            return specimen.cost.total < Math.random() * max;
+    this.gradePopulationAsync = function() {//{{{
+        if(self.options.workers <= 0) {
+            return Promise.resolve(self.gradePopulation());
+        }
+
+        // the functions of the custom terms can't be sent to the workers, the
+        // registered ones are only known by a custom worker
+        var unknown = terms.custom(cost_params).filter(function(name) {
+            return typeof (cost_params.terms[name] || {}).term === 'function' ||
+                   self.options.worker_factory === null;
+        });
+        if(unknown.length > 0) {
+            return Promise.reject(new Error('The workers can not compute the cost terms: ' +
+                                            unknown.join(', ')));
+        }
+
+        if(pool === null) {
+            pool = new TDiagramWorkerPool(self.options.workers, {
+                nodes: diagram.toNodes(),
+                options: diagram.options,
+                cost_params: cost_params
+            }, self.options.worker_factory);
+        }
+
+        var ungraded = self.population.filter(function(specimen) {
+            return !('cost' in specimen);
+        });
+
+        return pool.grade(ungraded.map(function(specimen) {
+            return specimen.breaks;
+        })).then(function(costs) {
+            ungraded.forEach(function(specimen, i) {
+                specimen.cost = costs[i];
+            });
+            // every specimen is graded now, this only updates the best one
+            self.gradePopulation();
         });
     }//}}}
 
 
+    /**
+     * Terminate the workers (if any). They are created again if needed.
+    */
+    this.close = function() {//{{{
+        if(pool !== null) pool.terminate();
+        pool = null;
+    }//}}}
+
+    /**
+     * Perform the selection part of the GA algorithm. This will replace the
+     * population array by the parents of the next generation, requires that
+     * gradePopulation was called before.
+     *
+     * Whatever the selection operator returns, at least two parents (or the
+     * whole population if it's smaller) are kept: the best specimens are used
+     * to fill the pool if needed.
+    */
+    this.performSelection = function() {//{{{
+        var parents = select(self.population, population_size, random, self.options);
+
+        var needed = Math.min(2, self.population.length);
+        if(parents.length < needed) {
+            parents = parents.concat(operators.byCost(self.population).filter(function(specimen) {
+                return parents.indexOf(specimen) < 0;
+            }).slice(0, needed - parents.length));
+        }
+
+        self.population = parents;
+    }//}}}
+
+
+    /**
+     * Get the best specimens of the current population, requires that
+     * gradePopulation was called before
+     *
+     * @param {number} k - the number of specimens
+     *
+     * @return {Array.<CostfulDiagram>}
+    */
+    this.getElite = function(k) {//{{{
+        return operators.byCost(self.population).slice(0, k);
+    }//}}}
+
+
     /**
      * Perform a step in the optimization algorithm.
      *
@@ -118,8 +312,10 @@ function TDiagramDrawer(cost_params, population_size, mutation_prob, diagram) {
      *         perform a callback on the array of specimen before doing anything else
      * @param {Function : Array<CostfullDiagram> -> X} callbacks.selection
      *         perform a callback on the array of specimen right after the selection
-     * @param {Function : Array<CostfullDiagram> -> X} callbacks.breeding
-     *         perform a callback on the array of specimen right after the breeding
+     * @param {Function : Array<CostfullDiagram> x Object -> X} callbacks.breeding
+     *         perform a callback on the array of specimen right after the breeding,
+     *         the second argument maps the names of the mutations applied to the
+     *         number of times they were applied
     */
     this.step = function(callbacks) {//{{{
         callbacks = helpers.extendObjs({
@@ -131,61 +327,72 @@ function TDiagramDrawer(cost_params, population_size, mutation_prob, diagram) {
         // Perform the selection
         self.gradePopulation();
 
-        callbacks.pre(self.population);
+        breed(callbacks);
 
-        self.performSelection();
+        self.gradePopulation();
 
-        callbacks.selection(self.population);
+        callbacks.breeding(self.population, self.mutations);
+    }//}}}
 
-        // Perform the crossover & mutation
-        var parents = self.population;
-        self.population = Array(population_size).fill(0).map(function() {
-            // crossover
-            var p1 = Math.floor(Math.random() * parents.length);
-            var p2 = p1;
-            while(p2 == p1) p2 = Math.floor(Math.random() * parents.length);
-            p1 = parents[p1];
-            p2 = parents[p2];
 
-            var breaks = {};
-            for(k in p1.breaks) if(Math.random() > 0.5) breaks[k] = p1.breaks[k];
-            for(k in p2.breaks) if(Math.random() > 0.5) breaks[k] = p2.breaks[k];
+    /**
+     * The asynchronous version of step, the population is graded with
+     * gradePopulationAsync
+     *
+     * @param {Object} callbacks - refer to step
+     *
+     * @return {Promise}
+    */
+    this.stepAsync = function(callbacks) {//{{{
+        callbacks = helpers.extendObjs({
+            pre: function(x) {},
+            selection: function(x) {},
+            breeding: function(x) {},
+        }, callbacks);
 
+        return self.gradePopulationAsync().then(function() {
+            breed(callbacks);
+            return self.gradePopulationAsync();
+        }).then(function() {
+            callbacks.breeding(self.population, self.mutations);
+        });
+    }//}}}
 
-            // mutation can be a change in the value at each branch
-            for(k in breaks) 
-                if(Math.random() < mutation_prob)
-                    breaks[k] = Math.min(0.1, Math.max(0.9, breaks[k] + Math.random() * 0.1 - 0.05));
 
-            // or removing a branch
-            if(Math.random() < self.probability_of_adding_branch) {
-                var branches = Object.keys(breaks);
-                var rand_branch = branches[Math.floor(Math.random()*branches.length)];
-                delete branches[rand_branch];
-            }
+    /*
+     * Replace the (graded) population by the next generation: the elite, and
+     * the children of the parents picked by the selection
+     *
+     * @param {Object} callbacks - refer to step
+    */
+    function breed(callbacks) {//{{{
+        callbacks.pre(self.population);
 
-            // or a new branch
-            if(Math.random() < self.probability_of_adding_branch) {
-                var possible_nodes = Object.keys(self.geometry).filter(function(x) {
-                    return !self.geometry[x].hidden;
-                });
+        var elite = self.getElite(Math.min(self.options.elitism, population_size));
 
-                if(Object.keys(breaks).length < possible_nodes.length) {
-                    do {
-                        var rand_id = Math.floor(Math.random() * possible_nodes.length);
-                        var random_node = possible_nodes[rand_id];
-                    } while(random_node in breaks);
+        self.performSelection();
 
-                    breaks[random_node] = Math.random() * 0.8 + 0.1;
-                }
+        callbacks.selection(self.population);
+
+        // Perform the crossover & mutation
+        var parents = self.population;
+        self.mutations = {};
+        var children = Array(population_size - elite.length).fill(0).map(function() {
+            // pick two distinct parents (unless there's only one)
+            var p1 = Math.floor(random() * parents.length);
+            var p2 = p1;
+            if(parents.length > 1) {
+                p2 = Math.floor(random() * (parents.length - 1));
+                if(p2 >= p1) p2 += 1;
             }
 
+            var breaks = crossover(parents[p1], parents[p2], random);
+            breaks = mutate(breaks, self, random, self.mutations);
+
             return createRandomSpecimenFromBreaks(breaks);
         });
 
-        self.gradePopulation();
-
-        callbacks.breeding(self.population);
+        self.population = elite.concat(children);
     }//}}}
 
 
@@ -196,14 +403,16 @@ function TDiagramDrawer(cost_params, population_size, mutation_prob, diagram) {
      * the strategy is up to you.
      *
      * @param {number} generation_limit - the number of times to execute a step
-     * @param {Function : number x Array.<number> -> boolean} step_callback -
+     * @param {Function : number x Array.<number> x Object -> boolean} step_callback -
      *        the callback to use after every step
      * @param {Function : ...} callbacks - refer to the documentation of the step
      *        function for a detailed explanation of the list of callbacks
      *
-     * The step_callback function takes 2 arguments, the first one is the number
+     * The step_callback function takes 3 arguments, the first one is the number
      * of the iteration that's about to start, the second is the list of the costs
-     * of each diagram that the iteration will work on. If step_function returns
+     * of each diagram that the iteration will work on and the third one maps the
+     * names of the mutations applied in the step to the number of times they were
+     * applied (e.g. { perturb: 12, add: 3 }). If step_function returns
      * false then the learning process is stopped. This may be used when you have
      * a target cost you want to reach and you've seen that you've already reached.
      *
@@ -215,15 +424,115 @@ function TDiagramDrawer(cost_params, population_size, mutation_prob, diagram) {
         for(var i=0;i<generation_limit;i++) {
             self.step(callbacks);
 
-            var ans = step_callback(i, self.population.map(function(x) {
-                return x.cost;
-            }));
+            var costs = progress(i);
+            var ans = step_callback(i, costs, self.mutations);
             if(ans === false) break;
         }
 
         return self.population;
     }//}}}
+
+
+    /*
+     * Emit the progress event of a generation that just finished
+     *
+     * @param {number} generation - the number of the generation
+     *
+     * @return {Array.<Object>} the costs of the population
+    */
+    function progress(generation) {//{{{
+        var costs = self.population.map(function(x) {
+            return x.cost;
+        });
+
+        self.emit('progress', {
+            generation: generation,
+            best_cost: self.best === null ? null : self.best.cost.total,
+            best: self.best,
+            costs: costs,
+            mutations: self.mutations
+        });
+
+        return costs;
+    }//}}}
+
+
+    /**
+     * The non-blocking version of learn: the control is given back to the
+     * event loop between two generations so that the process (or the page)
+     * stays responsive. The population is graded by the workers if the
+     * workers option is set, they are terminated when the learning ends.
+     *
+     * @param {number} generation_limit - the number of times to execute a step
+     * @param {Object} options - the following (optional) keys:
+     *        step_callback: same as the step_callback of learn
+     *        callbacks: same as the callbacks of learn
+     *        signal: an AbortSignal, when it's aborted the learning stops at
+     *                the end of the current generation
+     *
+     * @return {Promise.<Object>} resolves (even when aborted) to
+     *         { best, population, generations, aborted } where best is the best
+     *         specimen found and generations the number of generations executed.
+     *         It's rejected if a step, a callback or a listener of the
+     *         'done' event throws.
+    */
+    this.learnAsync = function(generation_limit, options) {//{{{
+        options = options || {};
+        var signal = options.signal;
+        var step_callback = options.step_callback || function(x, y) { return true; };
+        var defer = typeof setImmediate === 'function' ? setImmediate : function(f) { setTimeout(f, 0); };
+
+        return new Promise(function(resolve, reject) {
+            var i = 0;
+
+            function finish(aborted) {
+                self.close();
+                var result = {
+                    best: self.best,
+                    population: self.population,
+                    generations: i,
+                    aborted: aborted
+                };
+
+                // a listener throwing from the deferred callback would be
+                // uncaught and leave the promise pending
+                try {
+                    self.emit('done', result);
+                } catch(e) {
+                    return reject(e);
+                }
+                resolve(result);
+            }
+
+            function fail(e) {
+                self.close();
+                reject(e);
+            }
+
+            function next() {
+                if(signal && signal.aborted) return finish(true);
+                if(i >= generation_limit) return finish(false);
+
+                // a step may throw before giving its promise
+                Promise.resolve().then(function() {
+                    return self.stepAsync(options.callbacks);
+                }).then(function() {
+                    var costs = progress(i);
+                    var ans = step_callback(i++, costs, self.mutations);
+
+                    if(ans === false) return finish(false);
+                    defer(next);
+                }).catch(fail);
+            }
+
+            defer(next);
+        });
+    }//}}}
 }
 
 
+TDiagramDrawer.prototype = Object.create(EventEmitter.prototype);
+TDiagramDrawer.prototype.constructor = TDiagramDrawer;
+
+
 module.exports = TDiagramDrawer;
@@ -0,0 +1,425 @@
+/**
+ * @module exporters
+ *
+ * Writing layouts for other tools. Every exporter takes a diagram (a TDiagram
+ * or a broken TDiagramCost) or its geometry (refer to TDiagram.getGeometry)
+ * and returns the content of a file. The breaks are merged into the polylines
+ * of the branches declared by the user and the properties of the nodes are
+ * kept as attributes. The formats are:
+ *
+ * - graphml: a graph for yEd, Gephi, ... (refer to network) whose nodes have
+ *            x and y attributes and whose edges have their points
+ * - geojson: a FeatureCollection for the GIS tools, a LineString per branch
+ *            and a Point per station
+ * - dot: a graph for Graphviz (refer to network) whose nodes are pinned with
+ *        pos and whose edges follow the branches, to draw with neato -n2
+ *
+ * The y axis of the diagram points down, like in SVG: GeoJSON and DOT have it
+ * pointing up, the y coordinates are negated for them (unless the flip_y
+ * option is false).
+*/
+
+
+const helpers = require('./helpers');
+
+
+/**
+ * The geometry of a diagram
+ *
+ * @param {TDiagram|TDiagramCost|Object} diagram - or its geometry
+ *
+ * @return {Object}
+*/
+function geometryOf(diagram) {//{{{
+    return typeof diagram.getGeometry === 'function' ? diagram.getGeometry() : diagram;
+}//}}}
+
+
+/**
+ * The distance along a polyline at which a point lies on it
+ *
+ * @param {Array.<Object>} points - the polyline, orthogonal
+ * @param {Object} point - {x, y}
+ *
+ * @return {number} null if the point isn't on the polyline
+*/
+function distanceAlong(points, point) {//{{{
+    var travelled = 0;
+    for(var i=1;i<points.length;i++) {
+        var a = points[i-1], b = points[i];
+        var within = Math.min(a.x, b.x) - 1e-9 <= point.x && point.x <= Math.max(a.x, b.x) + 1e-9 &&
+                     Math.min(a.y, b.y) - 1e-9 <= point.y && point.y <= Math.max(a.y, b.y) + 1e-9;
+        if(within) return travelled + Math.abs(point.x - a.x) + Math.abs(point.y - a.y);
+        travelled += Math.abs(b.x - a.x) + Math.abs(b.y - a.y);
+    }
+    return null;
+}//}}}
+
+
+/**
+ * The piece of a polyline between two distances along it
+ *
+ * @param {Array.<Object>} points - the polyline, orthogonal
+ * @param {number} from
+ * @param {number} to
+ *
+ * @return {Array.<Object>} the points of the piece, its ends included
+*/
+function piece(points, from, to) {//{{{
+    var answer = [];
+    var travelled = 0;
+
+    function at(a, b, length, d) {
+        var t = length == 0 ? 0 : (d - travelled) / length;
+        return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    }
+
+    for(var i=1;i<points.length;i++) {
+        var a = points[i-1], b = points[i];
+        var length = Math.abs(b.x - a.x) + Math.abs(b.y - a.y);
+
+        if(answer.length == 0 && from <= travelled + length) answer.push(at(a, b, length, from));
+        if(answer.length > 0) {
+            if(to <= travelled + length) {
+                answer.push(at(a, b, length, to));
+                break;
+            }
+            answer.push({ x: b.x, y: b.y });
+        }
+        travelled += length;
+    }
+
+    if(answer.length == 0) answer.push({ x: points[0].x, y: points[0].y });
+    if(answer.length == 1) answer.push({ x: answer[0].x, y: answer[0].y });
+    return answer;
+}//}}}
+
+
+/**
+ * The layout as a graph: its nodes are the stations (the nodes declared by the
+ * user) and the ends of the branches that don't end at a station, its edges
+ * are the pieces of the branches between two consecutive stations (or the end)
+ * along them.
+ *
+ * @param {TDiagram|TDiagramCost|Object} diagram - or its geometry
+ *
+ * @return {Object} { nodes, edges } where every node is { id, name, end, x, y,
+ *                  properties } (the id of a station is its name, end is true
+ *                  for the ends of the branches) and every edge is { id,
+ *                  source, target, branch, points, properties } (branch being
+ *                  the name of the branch and points its polyline, the breaks
+ *                  included)
+*/
+function network(diagram) {//{{{
+    var geometry = geometryOf(diagram);
+    var polylines = helpers.branchPolylines(geometry);
+    var names = Object.keys(polylines);
+
+    var ids = {};
+    names.forEach(function(name) { ids[name] = true; });
+    function endId(name) {
+        var id = name + '.end';
+        while(id in ids) id += '_';
+        ids[id] = true;
+        return id;
+    }
+
+    // the stations on every branch (the children of its breaks included)
+    var children = {};
+    names.forEach(function(name) {
+        var parent = geometry[name].parent;
+        if(!(parent in geometry)) return;
+        var owner = helpers.branchOwner(geometry, parent);
+        (children[owner] = children[owner] || []).push(name);
+    });
+
+    var nodes = [];
+    var edges = [];
+
+    names.forEach(function(name) {
+        var node = geometry[name];
+        var points = polylines[name];
+        var properties = node.properties || {};
+
+        nodes.push({
+            id: name, name: name, end: false,
+            x: node.coordinates.x, y: node.coordinates.y,
+            properties: properties
+        });
+
+        // the stations along the branch, in order
+        var stops = (children[name] || []).map(function(c) {
+            return { id: c, at: distanceAlong(points, geometry[c].coordinates) };
+        }).filter(function(stop) {
+            return stop.at !== null;
+        }).sort(function(s1, s2) {
+            return s1.at - s2.at;
+        });
+        stops.unshift({ id: name, at: 0 });
+
+        // the branch ends at a station or at an end of its own
+        var last = points[points.length - 1];
+        var total = distanceAlong(points, last);
+        if(stops.length == 1 || stops[stops.length - 1].at < total - 1e-9) {
+            var end = endId(name);
+            nodes.push({ id: end, name: null, end: true, x: last.x, y: last.y, properties: {} });
+            stops.push({ id: end, at: total });
+        }
+        for(var i=1;i<stops.length;i++) {
+            edges.push({
+                id: name + '.' + (i - 1),
+                source: stops[i-1].id,
+                target: stops[i].id,
+                branch: name,
+                points: piece(points, stops[i-1].at, stops[i].at),
+                properties: properties
+            });
+        }
+    });
+
+    return { nodes: nodes, edges: edges };
+}//}}}
+
+
+/**
+ * The GraphML type of the values of an attribute
+ *
+ * @param {Array.<*>} values
+ *
+ * @return {String} 'boolean', 'double' or 'string'
+*/
+function graphmlType(values) {//{{{
+    if(values.every(function(v) { return typeof v === 'boolean'; })) return 'boolean';
+    if(values.every(function(v) { return typeof v === 'number'; })) return 'double';
+    return 'string';
+}//}}}
+
+
+/**
+ * A value of an attribute as text: the objects are written as JSON
+ *
+ * @param {*} value
+ *
+ * @return {String}
+*/
+function text(value) {//{{{
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}//}}}
+
+
+/**
+ * The built-in attributes of the nodes and of the edges in GraphML, the
+ * properties with one of these names are left out of both
+*/
+const GRAPHML_NODE = [['name', 'string'], ['x', 'double'], ['y', 'double'], ['end', 'boolean']];
+const GRAPHML_EDGE = [['branch', 'string'], ['points', 'string']];
+
+
+/**
+ * The attributes of Graphviz the properties may set as they are, the other
+ * properties are prefixed with `property_` so that Graphviz doesn't read them
+ * (e.g. a weight that isn't an integer)
+*/
+const DOT_ATTRIBUTES = ['color', 'fillcolor', 'fontcolor', 'fontname', 'fontsize', 'penwidth',
+                        'style', 'tooltip', 'URL', 'href', 'target', 'id', 'class', 'comment'];
+
+
+/**
+ * The exporters
+*/
+const exporters = {
+    /**
+     * The nodes have the attributes name, x, y and end, the edges branch and
+     * points (the x,y pairs of their polyline separated by spaces), then come
+     * the properties of the nodes (of the branches for the edges) unless they
+     * have the name of one of these six attributes.
+     *
+     * @param {TDiagram|TDiagramCost|Object} diagram - or its geometry
+     *
+     * @return {String}
+    */
+    graphml: function(diagram) {//{{{
+        var graph = network(diagram);
+        var keys = [];
+
+        var reserved = GRAPHML_NODE.concat(GRAPHML_EDGE).map(function(b) { return b[0]; });
+
+        // the attributes of the nodes or of the edges, built-in first
+        function declare(kind, items, builtin) {
+            var values = {};
+            items.forEach(function(item) {
+                Object.keys(item.properties).forEach(function(k) {
+                    if(reserved.indexOf(k) >= 0) return;
+                    (values[k] = values[k] || []).push(item.properties[k]);
+                });
+            });
+
+            var attributes = builtin.concat(Object.keys(values).map(function(k) {
+                return [k, graphmlType(values[k])];
+            }));
+            return attributes.map(function(attribute, i) {
+                var key = { id: kind[0] + i, kind: kind, name: attribute[0], type: attribute[1] };
+                keys.push(key);
+                return key;
+            });
+        }
+
+        var node_keys = declare('node', graph.nodes, GRAPHML_NODE);
+        var edge_keys = declare('edge', graph.edges, GRAPHML_EDGE);
+
+        function data(item, keys, builtin) {
+            return keys.map(function(key) {
+                var value = key.name in builtin ? builtin[key.name] : item.properties[key.name];
+                if(value === undefined || value === null) return '';
+                return '      <data key="' + key.id + '">' + helpers.escapeXML(text(value)) + '</data>\n';
+            }).join('');
+        }
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">\n' +
+            keys.map(function(key) {
+                return '  <key id="' + key.id + '" for="' + key.kind + '" attr.name="' +
+                       helpers.escapeXML(key.name) + '" attr.type="' + key.type + '"/>\n';
+            }).join('') +
+            '  <graph id="G" edgedefault="directed">\n' +
+            graph.nodes.map(function(node) {
+                return '    <node id="' + helpers.escapeXML(node.id) + '">\n' +
+                       data(node, node_keys, { name: node.name, x: node.x, y: node.y, end: node.end }) +
+                       '    </node>\n';
+            }).join('') +
+            graph.edges.map(function(edge) {
+                var points = edge.points.map(function(p) { return p.x + ',' + p.y; }).join(' ');
+                return '    <edge id="' + helpers.escapeXML(edge.id) + '" source="' + helpers.escapeXML(edge.source) +
+                       '" target="' + helpers.escapeXML(edge.target) + '">\n' +
+                       data(edge, edge_keys, { branch: edge.branch, points: points }) +
+                       '    </edge>\n';
+            }).join('') +
+            '  </graph>\n' +
+            '</graphml>\n';
+    },//}}}
+
+
+    /**
+     * Every branch is a LineString whose properties are its name, its parent
+     * and the properties of its node, every station is a Point with the same
+     * properties.
+     *
+     * @param {TDiagram|TDiagramCost|Object} diagram - or its geometry
+     * @param {Object} options - { flip_y: true }
+     *
+     * @return {String}
+    */
+    geojson: function(diagram, options) {//{{{
+        options = helpers.extendObjs({ flip_y: true }, options);
+        var geometry = geometryOf(diagram);
+        var polylines = helpers.branchPolylines(geometry);
+        var sign = options.flip_y ? -1 : 1;
+
+        function position(p) { return [p.x, sign * p.y]; }
+
+        var features = [];
+        Object.keys(polylines).forEach(function(name) {
+            var node = geometry[name];
+            var properties = helpers.extendObjs(node.properties, {
+                name: name,
+                parent: node.parent === undefined || node.parent === '' ? null : node.parent
+            });
+
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: polylines[name].map(position) },
+                properties: helpers.extendObjs(properties, { feature: 'branch' })
+            });
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: position(node.coordinates) },
+                properties: helpers.extendObjs(properties, { feature: 'station' })
+            });
+        });
+
+        return JSON.stringify({ type: 'FeatureCollection', features: features }, null, 2) + '\n';
+    },//}}}
+
+
+    /**
+     * The nodes are points pinned with pos (in points) and labelled with the
+     * label property or their name, the edges have the pos of their polyline
+     * and their branch. The properties naming an attribute of Graphviz in
+     * DOT_ATTRIBUTES (e.g. color) set it, the others become attributes
+     * prefixed with property_.
+     *
+     * @param {TDiagram|TDiagramCost|Object} diagram - or its geometry
+     * @param {Object} options - { flip_y: true }
+     *
+     * @return {String}
+    */
+    dot: function(diagram, options) {//{{{
+        options = helpers.extendObjs({ flip_y: true }, options);
+        var graph = network(diagram);
+        var sign = options.flip_y ? -1 : 1;
+
+        function quote(x) { return '"' + text(x).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"'; }
+        function point(p) { return p.x + ',' + (sign * p.y); }
+        function attributes(builtin, properties) {
+            var all = {};
+            Object.keys(properties).forEach(function(k) {
+                if(k == 'label') return; // the xlabel of the stations
+                all[DOT_ATTRIBUTES.indexOf(k) >= 0 ? k : 'property_' + k] = properties[k];
+            });
+            all = helpers.extendObjs(all, builtin);
+            return '[' + Object.keys(all).filter(function(k) {
+                return all[k] !== undefined && all[k] !== null;
+            }).map(function(k) {
+                return quote(k) + '=' + quote(all[k]);
+            }).join(', ') + ']';
+        }
+
+        return 'digraph {\n' +
+            '  node [shape=point];\n' +
+            '  edge [arrowhead=none];\n' +
+            graph.nodes.map(function(node) {
+                var label = node.end ? '' : (node.properties.label !== undefined ? node.properties.label : node.name);
+                return '  ' + quote(node.id) + ' ' + attributes({
+                    pos: point(node) + '!', xlabel: label
+                }, node.end ? {} : node.properties) + ';\n';
+            }).join('') +
+            graph.edges.map(function(edge) {
+                // a polyline as a B-spline: every corner is repeated
+                var controls = [point(edge.points[0])];
+                for(var i=1;i<edge.points.length;i++)
+                    controls.push(point(edge.points[i-1]), point(edge.points[i]), point(edge.points[i]));
+
+                return '  ' + quote(edge.source) + ' -> ' + quote(edge.target) + ' ' + attributes({
+                    pos: controls.join(' '), branch: edge.branch
+                }, edge.properties) + ';\n';
+            }).join('') +
+            '}\n';
+    },//}}}
+};
+
+
+/**
+ * Export a layout
+ *
+ * @param {TDiagram|TDiagramCost|Object} diagram - or its geometry
+ * @param {String} format - the name of an exporter
+ * @param {Object} options - the options of the exporter (if any)
+ *
+ * @throws {Error} if there's no such exporter
+ *
+ * @return {String}
+*/
+function write(diagram, format, options) {//{{{
+    if(!Object.prototype.hasOwnProperty.call(exporters, format))
+        throw new Error('Unknown export format: ' + format +
+                        ' (available: ' + Object.keys(exporters).join(', ') + ')');
+    return exporters[format](diagram, options);
+}//}}}
+
+
+
+module.exports = {
+    exporters: exporters,
+    network: network,
+    write: write,
+}
@@ -51,9 +51,27 @@ function binarySearch(arr, x, trans) {//{{{
 }//}}}
 
 
+/**
+ * Escape a value so that it can be safely inserted in an xml document, either
+ * as text or as the value of an attribute.
+ *
+ * @param {*} text
+ *
+ * @return {String}
+*/
+function escapeXML(text) {//{{{
+    return String(text).replace(/&/g, '&amp;')
+                       .replace(/</g, '&lt;')
+                       .replace(/>/g, '&gt;')
+                       .replace(/"/g, '&quot;')
+                       .replace(/'/g, '&apos;');
+}//}}}
+
+
 /*
  * Generate from an object a string that can be appended to an xml tag
- * to add attributes to it.
+ * to add attributes to it. The values are escaped and the attributes whose
+ * value is null or undefined are left out.
  *
  * Example:
  *
@@ -66,8 +84,10 @@ function binarySearch(arr, x, trans) {//{{{
  * @return {String}
 */
 function dict2attributes(attributes) {//{{{
-    return Object.keys(attributes).map(function(attr) {
-        return attr + '= "' + attributes[attr] + '"';
+    return Object.keys(attributes).filter(function(attr) {
+        return attributes[attr] !== null && attributes[attr] !== undefined;
+    }).map(function(attr) {
+        return attr + '= "' + escapeXML(attributes[attr]) + '"';
     }).join(' ');
 }//}}}
 
@@ -92,9 +112,129 @@ function extendObjs(obj1, obj2) {//{{{
 }//}}}
 
 
+/**
+ * Deep copy a value made of plain objects, arrays and primitives (i.e. anything
+ * that can be represented in JSON). Functions are copied by reference.
+ *
+ * @param {T} x - the value to copy
+ *
+ * @return {T}
+*/
+function deepCopy(x) {//{{{
+    if(x === null || typeof x !== 'object') return x;
+    if(Array.isArray(x)) return x.map(deepCopy);
+
+    var obj = {};
+    for(var k in x) obj[k] = deepCopy(x[k]);
+    return obj;
+}//}}}
+
+/**
+ * Find the name of the user-declared node owning a node of a geometry (refer
+ * to TDiagram.getGeometry): hidden nodes (ends and breaks) belong to the branch
+ * of their closest visible ancestor.
+ *
+ * @param {Object} geometry
+ * @param {String} name
+ *
+ * @return {String}
+*/
+function branchOwner(geometry, name) {//{{{
+    while(geometry[name].hidden && geometry[name].parent in geometry)
+        name = geometry[name].parent;
+    return name;
+}//}}}
+
+
+/**
+ * Recover the polyline of every user-declared branch of a geometry. The branch
+ * of a node starts at the node and follows its breaks (hidden children that
+ * have children of their own) until it reaches the last end (a hidden child
+ * without children).
+ *
+ * Repeated points and the points in the middle of a straight line are removed,
+ * so every point other than the first and the last one is a corner.
+ *
+ * @param {Object} geometry
+ *
+ * @return {Object} map from the name of every visible node to its list of
+ *                  points ({x, y})
+*/
+function branchPolylines(geometry) {//{{{
+    var polylines = {};
+
+    Object.keys(geometry).filter(function(name) {
+        return !geometry[name].hidden;
+    }).forEach(function(name) {
+        var points = [geometry[name].coordinates];
+        var current = geometry[name];
+
+        while(true) {
+            var hidden = current.children.map(function(c) {
+                return geometry[c];
+            }).filter(function(child) {
+                return child.hidden;
+            });
+            var next = hidden.filter(function(child) { return child.children.length > 0; })[0];
+            if(next === undefined) next = hidden[0];
+            if(next === undefined) break;
+
+            points.push(next.coordinates);
+            current = next;
+        }
+
+        polylines[name] = points.map(function(p) {
+            return { x: p.x, y: p.y };
+        }).filter(function(p, i, arr) {
+            // drop repeated points
+            return i == 0 || p.x != arr[i-1].x || p.y != arr[i-1].y;
+        }).filter(function(p, i, arr) {
+            // drop the points that are not corners
+            if(i == 0 || i == arr.length - 1) return true;
+            var prev = arr[i-1], next = arr[i+1];
+            return !((prev.x == p.x && p.x == next.x) || (prev.y == p.y && p.y == next.y));
+        });
+    });
+
+    return polylines;
+}//}}}
+
+/**
+ * Create a seeded pseudo-random number generator. The generator behaves like
+ * Math.random (it returns numbers in [0, 1)) but two generators created with
+ * the same seed produce the same sequence (the underlying algorithm is
+ * mulberry32). If no seed is provided then Math.random is returned.
+ *
+ * @param {number|String} seed
+ *
+ * @return {Function : () -> number}
+*/
+function createRandom(seed) {//{{{
+    if(seed === undefined || seed === null) return Math.random;
+
+    // reduce the seed to a 32 bits integer
+    var state = 0;
+    String(seed).split('').forEach(function(c) {
+        state = (Math.imul(state, 31) + c.charCodeAt(0)) | 0;
+    });
+
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        var t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}//}}}
+
+
 
 module.exports = {
     binarySearch: binarySearch,
     dict2attributes: dict2attributes,
+    escapeXML: escapeXML,
     extendObjs: extendObjs,
+    deepCopy: deepCopy,
+    branchOwner: branchOwner,
+    branchPolylines: branchPolylines,
+    createRandom: createRandom,
 }
@@ -0,0 +1,524 @@
+/**
+ * @module importers
+ *
+ * Reading diagrams from text. Every importer takes the content of a file and
+ * returns { nodes, options } where nodes is the list of nodes of the diagram
+ * (refer to TDiagram) and options its options (refer to TDiagram), to be given
+ * to the TDiagram constructor which validates them. The formats are:
+ *
+ * - json: a list of nodes or an object { nodes, options }
+ * - yaml: the same in YAML (block mappings and sequences, plain and quoted
+ *         scalars, flow sequences of scalars and comments)
+ * - csv, tsv: an edge list, a row per node with its name, parent, length and
+ *             direction (in this order without header row), or a header row
+ *             naming the fields of the nodes (name, parent, direction, length,
+ *             seq, branch_at) in any order, the other columns being properties
+ *             of the nodes
+ * - outline: an indented outline, a line per node whose parent is the node of
+ *            the closest line above it that is less indented (refer to
+ *            importers.outline)
+ *
+ * The edge lists and the outlines don't need the seq of the nodes nor the BFS
+ * order of TDiagram: they are arranged (refer to arrange).
+*/
+
+
+const helpers = require('./helpers');
+
+
+// the fields of a node holding numbers
+const NUMERIC_FIELDS = ['length', 'seq', 'branch_at'];
+
+// the fields of a node, the order of the columns of an edge list without header
+const FIELDS = ['name', 'parent', 'length', 'direction', 'seq', 'branch_at'];
+
+// the ways to write a direction
+const DIRECTIONS = { left: 'left', l: 'left', '<': 'left', right: 'right', r: 'right', '>': 'right' };
+
+
+/**
+ * Bring a parsed document to { nodes, options }
+ *
+ * @param {Array|Object} doc - a list of nodes or { nodes, options }
+ * @param {String} format - the name of the format, for the errors
+ *
+ * @throws {Error} if there's no list of nodes
+ *
+ * @return {Object} { nodes, options }
+*/
+function diagram(doc, format) {//{{{
+    if(Array.isArray(doc)) return { nodes: doc, options: {} };
+    if(doc !== null && typeof doc === 'object' && Array.isArray(doc.nodes))
+        return { nodes: doc.nodes, options: doc.options || {} };
+    throw new Error('The ' + format + ' document is neither a list of nodes nor an object with the nodes');
+}//}}}
+
+
+/**
+ * Read a scalar of a YAML document
+ *
+ * @param {String} text - trimmed
+ *
+ * @return {*}
+*/
+function yamlScalar(text) {//{{{
+    if(text == '' || text == '~' || text == 'null') return null;
+    if(text == 'true') return true;
+    if(text == 'false') return false;
+    if(/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+    if(text[0] == '"') return JSON.parse(text);
+    if(text[0] == "'") return text.slice(1, -1).replace(/''/g, "'");
+    if(text[0] == '[') {
+        var inner = text.slice(1, -1).trim();
+        return inner == '' ? [] : splitOutsideQuotes(inner, ',').map(function(x) {
+            return yamlScalar(x.trim());
+        });
+    }
+    if(text == '{}') return {};
+    return text;
+}//}}}
+
+
+/**
+ * Split a string on a separator, except inside quotes
+ *
+ * @param {String} text
+ * @param {String} separator - a single character
+ *
+ * @return {Array.<String>}
+*/
+function splitOutsideQuotes(text, separator) {//{{{
+    var parts = [''];
+    var quote = null;
+    for(var i=0;i<text.length;i++) {
+        var c = text[i];
+        if(quote === null && c == separator) parts.push('');
+        else {
+            if(quote === null && (c == '"' || c == "'")) quote = c;
+            else if(c === quote) quote = null;
+            parts[parts.length - 1] += c;
+        }
+    }
+    return parts;
+}//}}}
+
+
+/**
+ * Remove the comment ending a line of YAML (a # outside quotes starting the
+ * line or preceded by a space)
+ *
+ * @param {String} line
+ *
+ * @return {String}
+*/
+function stripComment(line) {//{{{
+    var quote = null;
+    for(var i=0;i<line.length;i++) {
+        var c = line[i];
+        if(quote === null && c == '#' && (i == 0 || /\s/.test(line[i-1]))) return line.slice(0, i);
+        if(quote === null && (c == '"' || c == "'")) quote = c;
+        else if(c === quote) quote = null;
+    }
+    return line;
+}//}}}
+
+
+/**
+ * Parse a YAML document (the subset described in the documentation of the
+ * module)
+ *
+ * @param {String} text
+ *
+ * @throws {Error} if the document can't be parsed
+ *
+ * @return {*}
+*/
+function parseYAML(text) {//{{{
+    var lines = [];
+    text.split(/\r?\n/).forEach(function(raw, i) {
+        var line = stripComment(raw).replace(/\s+$/, '');
+        if(line.trim() == '' || line.trim() == '---') return;
+        if(/^\s*\t/.test(line)) throw new Error('YAML line ' + (i + 1) + ': tabs can not indent');
+        lines.push({ indent: line.length - line.trimStart().length, text: line.trim(), number: i + 1 });
+    });
+
+    var position = 0;
+
+    function fail(line, message) {
+        throw new Error('YAML line ' + line.number + ': ' + message);
+    }
+
+    // the block starting at the current line, all its lines are indented by indent
+    function block(indent) {
+        var line = lines[position];
+        if(line.text == '-' || line.text.indexOf('- ') == 0) return sequence(indent);
+        return mapping(indent);
+    }
+
+    function sequence(indent) {
+        var answer = [];
+        while(position < lines.length && lines[position].indent == indent) {
+            var line = lines[position];
+            if(!(line.text == '-' || line.text.indexOf('- ') == 0)) fail(line, 'expected an item of the list');
+
+            var rest = line.text.slice(1).trim();
+            if(rest == '') {
+                position++;
+                answer.push(position < lines.length && lines[position].indent > indent ?
+                            block(lines[position].indent) : null);
+            } else if(/^[^'"\[{][^:]*:(\s|$)/.test(rest) || /^["'][^"']*["']\s*:(\s|$)/.test(rest)) {
+                // the item is a mapping starting on the line of the dash
+                var inner = line.indent + line.text.length - rest.length;
+                lines[position] = { indent: inner, text: rest, number: line.number };
+                answer.push(mapping(inner));
+            } else {
+                position++;
+                answer.push(yamlScalar(rest));
+            }
+        }
+        return answer;
+    }
+
+    function mapping(indent) {
+        var answer = {};
+        while(position < lines.length && lines[position].indent == indent) {
+            var line = lines[position];
+            var match = /^("[^"]*"|'[^']*'|[^:]+?)\s*:(\s+(.*))?$/.exec(line.text);
+            if(match === null) fail(line, 'expected a key and a value');
+
+            var key = yamlScalar(match[1]);
+            var value = match[3] === undefined ? '' : match[3];
+            position++;
+
+            if(value != '') {
+                answer[key] = yamlScalar(value);
+            } else if(position < lines.length && lines[position].indent > indent) {
+                answer[key] = block(lines[position].indent);
+            } else if(position < lines.length && lines[position].indent == indent &&
+                      lines[position].text.indexOf('-') == 0) {
+                // a list is allowed at the indentation of its key
+                answer[key] = sequence(indent);
+            } else {
+                answer[key] = null;
+            }
+        }
+        return answer;
+    }
+
+    if(lines.length == 0) return null;
+    var answer = block(lines[0].indent);
+    if(position < lines.length) fail(lines[position], 'unexpected indentation');
+    return answer;
+}//}}}
+
+
+/**
+ * Parse delimiter separated values: the fields may be quoted with double
+ * quotes (a quote inside being doubled) and hold separators and new lines
+ *
+ * @param {String} text
+ * @param {String} separator
+ *
+ * @return {Array.<Array.<String>>} the rows, the empty ones are left out
+*/
+function parseRows(text, separator) {//{{{
+    var rows = [];
+    var row = [];
+    var field = '';
+    var quoted = false;
+
+    for(var i=0;i<text.length;i++) {
+        var c = text[i];
+        if(quoted) {
+            if(c == '"' && text[i+1] == '"') { field += '"'; i++; }
+            else if(c == '"') quoted = false;
+            else field += c;
+        } else if(c == '"') {
+            quoted = true;
+        } else if(c == separator) {
+            row.push(field);
+            field = '';
+        } else if(c == '\n' || c == '\r') {
+            if(c == '\r' && text[i+1] == '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(function(r) {
+        return r.some(function(f) { return f.trim() != ''; });
+    });
+}//}}}
+
+
+/**
+ * Check whether a node is a root: its parent is empty
+ *
+ * @param {Object} node
+ *
+ * @return {boolean}
+*/
+function isRoot(node) {//{{{
+    return node.parent === undefined || node.parent === null || node.parent === '';
+}//}}}
+
+
+/**
+ * Put nodes in the order TDiagram needs (BFS: the parent of every node is
+ * listed before it) and number the children without a seq: they take, in the
+ * order they are listed, the smallest seq that none of their siblings has.
+ * The order of the siblings is kept. The nodes that can't be reached from a
+ * root (their parent doesn't exist or they form a cycle) are left at the end
+ * for the validation of TDiagram to report them.
+ *
+ * @param {Array.<Object>} nodes - they are not modified
+ *
+ * @return {Array.<Object>} copies of the nodes
+*/
+function arrange(nodes) {//{{{
+    nodes = nodes.map(function(node) {
+        return node !== null && typeof node === 'object' && !Array.isArray(node) ? helpers.extendObjs(node, {}) : node;
+    });
+
+    var children = Object.create(null); // any name, constructor included
+    var roots = [];
+    nodes.forEach(function(node) {
+        if(node === null || typeof node !== 'object' || Array.isArray(node)) return;
+        if(isRoot(node)) roots.push(node);
+        else (children[node.parent] = children[node.parent] || []).push(node);
+    });
+
+    Object.keys(children).concat([null]).forEach(function(parent) {
+        var siblings = parent === null ? roots : children[parent];
+        var taken = {};
+        siblings.forEach(function(node) {
+            if(typeof node.seq === 'number') taken[node.seq] = true;
+        });
+
+        var next = 0;
+        siblings.forEach(function(node) {
+            if(typeof node.seq === 'number') return;
+            while(next in taken) next++;
+            node.seq = next++;
+        });
+    });
+
+    var answer = [];
+    var placed = new Set();
+    for(var i=0;i<roots.length;i++) {
+        answer.push(roots[i]);
+        placed.add(roots[i]);
+    }
+    for(var i=0;i<answer.length;i++) {
+        (children[answer[i].name] || []).forEach(function(child) {
+            if(placed.has(child)) return;
+            answer.push(child);
+            placed.add(child);
+        });
+    }
+
+    return answer.concat(nodes.filter(function(node) { return !placed.has(node); }));
+}//}}}
+
+
+/**
+ * Read an edge list (refer to the documentation of the module)
+ *
+ * @param {String} text
+ * @param {String} separator
+ *
+ * @return {Array.<Object>} the nodes, arranged
+*/
+function edgeList(text, separator) {//{{{
+    var rows = parseRows(text, separator);
+    if(rows.length == 0) return [];
+
+    // the first row is a header if it has a name column, the case of the
+    // fields doesn't matter
+    var columns = rows[0].map(function(h) {
+        h = h.trim();
+        return FIELDS.indexOf(h.toLowerCase()) >= 0 ? h.toLowerCase() : h;
+    });
+    if(columns.indexOf('name') < 0) columns = FIELDS;
+    else rows = rows.slice(1);
+
+    var nodes = rows.map(function(row) {
+        var node = {};
+        columns.forEach(function(column, i) {
+            var cell = (row[i] || '').trim();
+            if(cell == '') return;
+
+            if(FIELDS.indexOf(column) < 0) {
+                node.properties = node.properties || {};
+                node.properties[column] = cell;
+            } else if(NUMERIC_FIELDS.indexOf(column) >= 0) {
+                node[column] = isNaN(Number(cell)) ? cell : Number(cell);
+            } else if(column == 'direction') {
+                node.direction = DIRECTIONS[cell.toLowerCase()] || cell;
+            } else {
+                node[column] = cell;
+            }
+        });
+        return node;
+    });
+
+    return arrange(nodes);
+}//}}}
+
+
+/**
+ * The importers
+*/
+const importers = {
+    /**
+     * @param {String} text
+     *
+     * @return {Object} { nodes, options }
+    */
+    json: function(text) {//{{{
+        return diagram(JSON.parse(text), 'JSON');
+    },//}}}
+
+
+    /**
+     * @param {String} text
+     *
+     * @return {Object} { nodes, options }
+    */
+    yaml: function(text) {//{{{
+        return diagram(parseYAML(text), 'YAML');
+    },//}}}
+
+
+    /**
+     * The empty cells are left out, the numeric fields are converted to
+     * numbers and the directions can also be written l, r, < or >.
+     *
+     * @param {String} text
+     *
+     * @return {Object} { nodes, options }
+    */
+    csv: function(text) {//{{{
+        return { nodes: edgeList(text, ','), options: {} };
+    },//}}}
+
+
+    /**
+     * The same as csv, separated by tabs
+     *
+     * @param {String} text
+     *
+     * @return {Object} { nodes, options }
+    */
+    tsv: function(text) {//{{{
+        return { nodes: edgeList(text, '\t'), options: {} };
+    },//}}}
+
+
+    /**
+     * Every line is a node: its name, prefixed with < (left) or > (right) to
+     * give its direction (`options.direction`, 'right' by default, otherwise)
+     * and followed by its length in brackets (`options.length`, 100 by
+     * default, otherwise). The bullets of lists (-, * or +) are ignored, as
+     * are the empty lines and the lines starting with #. A tab is worth 4
+     * spaces.
+     *
+     * ```
+     * Main line [200]
+     *     < North branch [80]
+     *         > Station [20]
+     *     > South branch
+     * ```
+     *
+     * @param {String} text
+     * @param {Object} options - { length, direction }
+     *
+     * @throws {Error} if a line has no name
+     *
+     * @return {Object} { nodes, options }
+    */
+    outline: function(text, options) {//{{{
+        options = helpers.extendObjs({ length: 100, direction: 'right' }, options);
+
+        var nodes = [];
+        var stack = []; // the nodes of the lines above that can be parents: { indent, name }
+
+        text.split(/\r?\n/).forEach(function(raw, i) {
+            var line = raw.replace(/\t/g, '    ').replace(/\s+$/, '');
+            var content = line.trim();
+            if(content == '' || content[0] == '#') return;
+            var indent = line.length - line.trimStart().length;
+
+            var match = /^(?:[-*+]\s+)?([<>])?\s*(.*?)(?:\s*\[\s*([^\]]*?)\s*\])?$/.exec(content);
+            if(match[2] == '') throw new Error('Outline line ' + (i + 1) + ': the node has no name');
+
+            while(stack.length > 0 && stack[stack.length - 1].indent >= indent) stack.pop();
+
+            var node = {
+                name: match[2],
+                parent: stack.length == 0 ? '' : stack[stack.length - 1].name,
+                length: match[3] === undefined ? options.length :
+                        (isNaN(Number(match[3])) ? match[3] : Number(match[3]))
+            };
+            if(match[1] !== undefined) node.direction = DIRECTIONS[match[1]];
+            else if(node.parent !== '') node.direction = options.direction;
+
+            nodes.push(node);
+            stack.push({ indent: indent, name: node.name });
+        });
+
+        return { nodes: arrange(nodes), options: {} };
+    },//}}}
+};
+
+
+// the formats given by the extensions of the files
+const EXTENSIONS = { json: 'json', yaml: 'yaml', yml: 'yaml', csv: 'csv', tsv: 'tsv', txt: 'outline', outline: 'outline' };
+
+
+/**
+ * Read a diagram
+ *
+ * @param {String} text - the content of the file
+ * @param {String} format - the name of an importer
+ * @param {Object} options - the options of the importer (if any)
+ *
+ * @throws {Error} if there's no such importer or the text can't be read
+ *
+ * @return {Object} { nodes, options }
+*/
+function read(text, format, options) {//{{{
+    if(!Object.prototype.hasOwnProperty.call(importers, format))
+        throw new Error('Unknown input format: ' + format +
+                        ' (available: ' + Object.keys(importers).join(', ') + ')');
+    return importers[format](text, options);
+}//}}}
+
+
+/**
+ * Guess the format of a file from its name
+ *
+ * @param {String} filename
+ *
+ * @return {String|null} the name of the importer, null if unknown
+*/
+function formatOf(filename) {//{{{
+    var extension = String(filename).split('.').pop().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(EXTENSIONS, extension) ? EXTENSIONS[extension] : null;
+}//}}}
+
+
+
+module.exports = {
+    importers: importers,
+    arrange: arrange,
+    read: read,
+    formatOf: formatOf,
+    parseYAML: parseYAML,
+}
@@ -0,0 +1,1049 @@
+const cts = require('./constants');
+const helpers = require('./helpers');
+
+/**
+ * @module layout
+ *
+ * The geometry core used to evaluate broken diagrams. A TDiagramLayout is
+ * computed once per TDiagram (refer to TDiagram.getLayout) and never modified:
+ * it holds the structure of the diagram, the placement of every branch without
+ * any break, the bounds of every subtree and an index of the segments.
+ *
+ * Applying a set of breaks to it produces a BrokenLayout which only stores what
+ * differs from the base: the placement of the subtrees of the broken branches.
+ * Its bounds and its intersection counts are derived from the ones of the base
+ * by only looking at these subtrees.
+ *
+ * A branch is placed by tracing it from its start: it's a polyline turning at
+ * every break. The children of a branch keep their distance to its start along
+ * that polyline.
+*/
+
+
+/**
+ * The unit vectors of the pointing directions (POINTING_UP, ..., POINTING_LEFT)
+*/
+const VECTORS = [{ x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }];
+
+
+/**
+ * Rotate a pointing direction to the left or to the right
+ *
+ * @param {number} pointing - POINTING_UP, ..., POINTING_LEFT
+ * @param {String} direction - 'left' or 'right'
+ *
+ * @return {number}
+*/
+function rotate(pointing, direction) {//{{{
+    return (4 + pointing + (direction == 'right' ? 1 : -1)) % 4;
+}//}}}
+
+
+/**
+ * Trace a branch: compute the points where it starts, turns and ends.
+ *
+ * @param {Object} start - {x, y}
+ * @param {number} pointing - the direction of the branch at its start
+ * @param {number} length - the length of the branch
+ * @param {Array.<Object>} breaks - the sorted breaks of the branch ({at, direction})
+ * @param {number} grid - the grid unit the distances of the breaks are rounded to (optional)
+ *
+ * @return {Object} { points, pointings, distances } where pointings[i] is the
+ *                  direction of the piece starting at points[i] and distances[i]
+ *                  the distance between the start and points[i]
+*/
+function trace(start, pointing, length, breaks, grid) {//{{{
+    var points = [{ x: start.x, y: start.y }];
+    var pointings = [pointing];
+    var distances = [0];
+
+    function advance(d) {
+        var last = points[points.length - 1];
+        var v = VECTORS[pointings[pointings.length - 1]];
+        var l = d - distances[distances.length - 1];
+        return { x: last.x + v.x * l, y: last.y + v.y * l };
+    }
+
+    breaks.forEach(function(b) {
+        var d = length * b.at;
+        if(grid) d = Math.round(d / grid) * grid;
+        points.push(advance(d));
+        pointings.push(rotate(pointings[pointings.length - 1], b.direction));
+        distances.push(d);
+    });
+
+    points.push(advance(length));
+    distances.push(length);
+
+    return { points: points, pointings: pointings, distances: distances };
+}//}}}
+
+
+/**
+ * Find the point of a traced branch at a given distance from its start, and
+ * the direction of the branch there. A point exactly on a break belongs to the
+ * piece after the break.
+ *
+ * @param {Object} traced - as returned by trace
+ * @param {number} d - the distance from the start
+ *
+ * @return {Object} {x, y, pointing}
+*/
+function locate(traced, d) {//{{{
+    var i = 0;
+    while(i < traced.pointings.length - 1 && traced.distances[i+1] <= d) i++;
+
+    var p = traced.points[i];
+    var v = VECTORS[traced.pointings[i]];
+    var l = d - traced.distances[i];
+    return { x: p.x + v.x * l, y: p.y + v.y * l, pointing: traced.pointings[i] };
+}//}}}
+
+
+/**
+ * The bounds that contain nothing
+ *
+ * @return {Object} {left, top, right, bottom}
+*/
+function emptyBounds() {//{{{
+    return {
+        left: Number.POSITIVE_INFINITY, top: Number.POSITIVE_INFINITY,
+        right: Number.NEGATIVE_INFINITY, bottom: Number.NEGATIVE_INFINITY
+    };
+}//}}}
+
+
+/**
+ * The smallest bounds containing two bounds
+ *
+ * @return {Object}
+*/
+function unionBounds(b1, b2) {//{{{
+    return {
+        left: Math.min(b1.left, b2.left), top: Math.min(b1.top, b2.top),
+        right: Math.max(b1.right, b2.right), bottom: Math.max(b1.bottom, b2.bottom)
+    };
+}//}}}
+
+
+/**
+ * The bounds of a list of points
+ *
+ * @param {Array.<Object>} points
+ *
+ * @return {Object}
+*/
+function pointsBounds(points) {//{{{
+    return points.reduce(function(b, p) {
+        return unionBounds(b, { left: p.x, top: p.y, right: p.x, bottom: p.y });
+    }, emptyBounds());
+}//}}}
+
+
+/**
+ * The names of the counts of every type of intersection
+*/
+const COUNTS = { crossing: 'crossings', touch: 'touches', overlap: 'overlaps' };
+
+
+/**
+ * Check whether a point is an end of a segment
+ *
+ * @param {Object} segment - {x1, y1, x2, y2}
+ * @param {Object} point - {x, y}
+ *
+ * @return {boolean}
+*/
+function isEnd(segment, point) {//{{{
+    return (segment.x1 == point.x && segment.y1 == point.y) ||
+           (segment.x2 == point.x && segment.y2 == point.y);
+}//}}}
+
+
+/**
+ * Check whether a point shared by two segments is a joint of the diagram: the
+ * corner between two consecutive segments of the same branch, the point
+ * where a branch starts on its parent or the station two siblings start from.
+ *
+ * @param {Object} s1 - {x1, y1, x2, y2, branch, index}
+ * @param {Object} s2
+ * @param {Object} point - {x, y}
+ * @param {Object} nodes - the structure of the layout
+ *
+ * @return {boolean}
+*/
+function isJoint(s1, s2, point, nodes) {//{{{
+    if(s1.branch === s2.branch) return Math.abs(s1.index - s2.index) == 1;
+
+    function starts(s) {
+        return s.index == 0 && s.x1 == point.x && s.y1 == point.y;
+    }
+
+    function attached(child, parent) {
+        return starts(child) && nodes[child.branch].parent === parent.branch;
+    }
+
+    var parent = nodes[s1.branch].parent;
+    var siblings = parent !== null && parent !== undefined && parent !== '' &&
+                   parent === nodes[s2.branch].parent && starts(s1) && starts(s2);
+
+    return siblings || attached(s1, s2) || attached(s2, s1);
+}//}}}
+
+
+/**
+ * Find how two segments intersect. The segments are horizontal or vertical:
+ *
+ * - crossing: they share a single point which is not an end of either one
+ * - touch: they share a single point which is an end of one of them (a T
+ *          junction or two segments meeting end to end)
+ * - overlap: they are collinear and share a piece of positive length
+ *
+ * The joints of the diagram (refer to isJoint) are not intersections.
+ *
+ * @param {Object} s1 - {x1, y1, x2, y2, branch, index}
+ * @param {Object} s2
+ * @param {Object} nodes - the structure of the layout
+ *
+ * @return {Object|null} { type, branches, x, y } and for the overlaps the
+ *                       other end of the shared piece as end: {x, y}; null if
+ *                       the segments don't intersect
+*/
+function classify(s1, s2, nodes) {//{{{
+    var left = Math.max(Math.min(s1.x1, s1.x2), Math.min(s2.x1, s2.x2));
+    var right = Math.min(Math.max(s1.x1, s1.x2), Math.max(s2.x1, s2.x2));
+    var top = Math.max(Math.min(s1.y1, s1.y2), Math.min(s2.y1, s2.y2));
+    var bottom = Math.min(Math.max(s1.y1, s1.y2), Math.max(s2.y1, s2.y2));
+    if(left > right || top > bottom) return null;
+
+    var answer = { type: 'overlap', branches: [s1.branch, s2.branch], x: left, y: top };
+    if(left < right || top < bottom) {
+        answer.end = { x: right, y: bottom };
+        return answer;
+    }
+
+    if(isJoint(s1, s2, answer, nodes)) return null;
+    answer.type = isEnd(s1, answer) || isEnd(s2, answer) ? 'touch' : 'crossing';
+    return answer;
+}//}}}
+
+
+/**
+ * Find the intersections of a list of horizontal and vertical segments with
+ * a sweep line. The collinear segments are found by sorting them along the
+ * line they're on, the perpendicular ones by sweeping a vertical line from
+ * left to right: the horizontal segments it crosses are kept sorted by y and
+ * every vertical segment is checked against the ones in its range.
+ *
+ * @param {Array.<Object>} segments - {x1, y1, x2, y2, branch, index}
+ * @param {Object} nodes - the structure of the layout
+ *
+ * @return {Array.<Object>} the intersections (refer to classify)
+*/
+function sweep(segments, nodes) {//{{{
+    var answer = [];
+
+    function add(s1, s2) {
+        var intersection = classify(s1, s2, nodes);
+        if(intersection !== null) answer.push(intersection);
+    }
+
+    var horizontals = segments.filter(function(s) { return s.y1 == s.y2; });
+    var verticals = segments.filter(function(s) { return s.y1 != s.y2; });
+
+    // the segments on the same line whose ranges meet
+    function collinear(list, line, from, to) {
+        var active = [];
+        list.slice().sort(function(s1, s2) {
+            return line(s1) - line(s2) || from(s1) - from(s2);
+        }).forEach(function(s) {
+            active = active.filter(function(t) {
+                return line(t) == line(s) && to(t) >= from(s);
+            });
+            active.forEach(function(t) { add(t, s); });
+            active.push(s);
+        });
+    }
+
+    collinear(horizontals, function(s) { return s.y1; },
+              function(s) { return Math.min(s.x1, s.x2); },
+              function(s) { return Math.max(s.x1, s.x2); });
+    collinear(verticals, function(s) { return s.x1; },
+              function(s) { return Math.min(s.y1, s.y2); },
+              function(s) { return Math.max(s.y1, s.y2); });
+
+    // at the same abscissa the horizontal segments are inserted before the
+    // vertical ones are checked and removed after
+    var events = [];
+    horizontals.forEach(function(s) {
+        events.push({ x: Math.min(s.x1, s.x2), order: 0, segment: s });
+        events.push({ x: Math.max(s.x1, s.x2), order: 2, segment: s });
+    });
+    verticals.forEach(function(s) {
+        events.push({ x: s.x1, order: 1, segment: s });
+    });
+    events.sort(function(e1, e2) { return e1.x - e2.x || e1.order - e2.order; });
+
+    // the index of the first active segment whose ordinate is at least y
+    var active = [];
+    function lowerBound(y) {
+        var m = 0, M = active.length;
+        while(m < M) {
+            var mid = (m + M) >> 1;
+            if(active[mid].y1 < y) m = mid + 1;
+            else M = mid;
+        }
+        return m;
+    }
+
+    events.forEach(function(e) {
+        var s = e.segment;
+        if(e.order == 0) {
+            active.splice(lowerBound(s.y1), 0, s);
+        } else if(e.order == 2) {
+            active.splice(active.indexOf(s, lowerBound(s.y1)), 1);
+        } else {
+            var bottom = Math.max(s.y1, s.y2);
+            for(var i=lowerBound(Math.min(s.y1, s.y2));i<active.length && active[i].y1<=bottom;i++)
+                add(active[i], s);
+        }
+    });
+
+    return answer;
+}//}}}
+
+
+/**
+ * The distance between two parallel segments
+ *
+ * @param {Object} s1 - {x1, y1, x2, y2}
+ * @param {Object} s2
+ *
+ * @return {number|null} null if the segments are perpendicular
+*/
+function parallelDistance(s1, s2) {//{{{
+    var horizontal = s1.y1 == s1.y2;
+    if(horizontal != (s2.y1 == s2.y2)) return null;
+
+    // the ranges of the segments along their direction
+    function range(s) {
+        return horizontal ? [Math.min(s.x1, s.x2), Math.max(s.x1, s.x2)]
+                          : [Math.min(s.y1, s.y2), Math.max(s.y1, s.y2)];
+    }
+
+    var r1 = range(s1), r2 = range(s2);
+    var along = Math.max(0, Math.max(r1[0], r2[0]) - Math.min(r1[1], r2[1]));
+    var across = horizontal ? Math.abs(s1.y1 - s2.y1) : Math.abs(s1.x1 - s2.x1);
+    return Math.sqrt(along * along + across * across);
+}//}}}
+
+
+/**
+ * The distance between a point and a segment
+ *
+ * @param {Object} point - {x, y}
+ * @param {Object} segment - {x1, y1, x2, y2}
+ *
+ * @return {number}
+*/
+function pointDistance(point, segment) {//{{{
+    var dx = Math.max(Math.min(segment.x1, segment.x2) - point.x, 0, point.x - Math.max(segment.x1, segment.x2));
+    var dy = Math.max(Math.min(segment.y1, segment.y2) - point.y, 0, point.y - Math.max(segment.y1, segment.y2));
+    return Math.sqrt(dx * dx + dy * dy);
+}//}}}
+
+
+/**
+ * Count the intersections of every type
+ *
+ * @param {Array.<Object>} intersections - refer to classify
+ * @param {Object} counts - the counts to update (new ones if not provided)
+ * @param {number} sign - 1 to add the intersections, -1 to remove them
+ *
+ * @return {Object} { crossings, touches, overlaps }
+*/
+function tally(intersections, counts, sign) {//{{{
+    counts = counts || { crossings: 0, touches: 0, overlaps: 0 };
+    sign = sign === undefined ? 1 : sign;
+    intersections.forEach(function(intersection) {
+        counts[COUNTS[intersection.type]] += sign;
+    });
+    return counts;
+}//}}}
+
+
+/**
+ * A uniform grid indexing segments by the cells they cross
+ *
+ * @param {number} cell - the size of a cell
+*/
+function SegmentGrid(cell) {
+    var cells = {};
+    this.cell = cell;
+
+    function each(segment, func) {
+        var x1 = Math.floor(Math.min(segment.x1, segment.x2) / cell);
+        var x2 = Math.floor(Math.max(segment.x1, segment.x2) / cell);
+        var y1 = Math.floor(Math.min(segment.y1, segment.y2) / cell);
+        var y2 = Math.floor(Math.max(segment.y1, segment.y2) / cell);
+        for(var x=x1;x<=x2;x++)
+            for(var y=y1;y<=y2;y++)
+                func(x + ',' + y);
+    }
+
+    /**
+     * Add a segment to the grid
+     *
+     * @param {Object} segment
+    */
+    this.insert = function(segment) {//{{{
+        each(segment, function(key) {
+            if(key in cells) cells[key].push(segment);
+            else cells[key] = [segment];
+        });
+    }//}}}
+
+    /**
+     * Find the segments sharing a cell with a segment (each one is returned
+     * once), those are the only ones that may intersect it.
+     *
+     * @param {Object} segment
+     *
+     * @return {Array.<Object>}
+    */
+    this.query = function(segment) {//{{{
+        var x = Math.floor(Math.min(segment.x1, segment.x2) / cell);
+        var y = Math.floor(Math.min(segment.y1, segment.y2) / cell);
+        if(x == Math.floor(Math.max(segment.x1, segment.x2) / cell) &&
+           y == Math.floor(Math.max(segment.y1, segment.y2) / cell))
+            return cells[x + ',' + y] || []; // a single cell, nothing to merge
+
+        var seen = new Set();
+        var answer = [];
+        each(segment, function(key) {
+            (cells[key] || []).forEach(function(s) {
+                if(seen.has(s)) return;
+                seen.add(s);
+                answer.push(s);
+            });
+        });
+        return answer;
+    }//}}}
+}
+
+
+/**
+ * Compute the offsets of the trees of a forest so that they don't overlap
+ * (refer to TDiagram.computeCoord)
+ *
+ * @param {Array.<Object>} bounds - the bounds of every tree before the translation
+ * @param {Object} options - the options of the TDiagram
+ *
+ * @return {Array.<Object>} the translation ({x, y}) of every tree
+*/
+function arrange(bounds, options) {//{{{
+    var vertical = options.forest === 'vertical';
+    var cursor = null;
+
+    return bounds.map(function(b) {
+        var min = vertical ? b.top : b.left;
+        var max = vertical ? b.bottom : b.right;
+        var offset = cursor === null ? 0 : cursor - min;
+        cursor = max + offset + options.forest_gap;
+        return vertical ? { x: 0, y: offset } : { x: offset, y: 0 };
+    });
+}//}}}
+
+
+/**
+ * The base layout of a diagram, refer to the documentation of the module.
+ *
+ * @param {TDiagram} tdiagram
+*/
+function TDiagramLayout(tdiagram) {
+    var self = this;
+
+    /*
+     * The structure: name -> { name, parent, length, direction, offset,
+     * children, tree, properties } where offset is the distance between the
+     * start of the parent and the point where the branch starts, and tree is
+     * the index of the root of the node. The maps keyed by the names have no
+     * prototype: a node may be named toString or constructor.
+    */
+    this.nodes = Object.create(null);
+    this.roots = [];
+    this.options = tdiagram.options;
+
+    tdiagram.diagram.forEach(function(item) {
+        self.nodes[item.name] = {
+            name: item.name,
+            parent: item.parent,
+            length: item.length,
+            direction: item.direction,
+            branch_at: item.branch_at,
+            seq: item.seq,
+            children: [],
+            properties: item.properties
+        };
+    });
+
+    tdiagram.diagram.forEach(function(item) {
+        var node = self.nodes[item.name];
+        if(node.parent in self.nodes) self.nodes[node.parent].children.push(node.name);
+        else self.roots.push(node.name);
+    });
+
+    Object.keys(this.nodes).forEach(function(name) {
+        var node = self.nodes[name];
+        var parent = self.nodes[node.parent];
+        var siblings = parent === undefined ? 1 : parent.children.length;
+        var parent_length = parent === undefined ? 0 : parent.length;
+
+        // the roots start on a vertical branch of length 0
+
+        if(node.branch_at !== null && node.branch_at !== undefined) node.offset = node.branch_at;
+        else if(parent === undefined) node.offset = 0;
+        else node.offset = (node.seq + 1) / siblings * parent_length;
+    });
+
+    this.roots.forEach(function(root, tree) {
+        (function mark(name) {
+            self.nodes[name].tree = tree;
+            self.nodes[name].children.forEach(mark);
+        })(root);
+    });
+
+
+    /**
+     * Place a subtree: trace every branch and compute the bounds of every
+     * subtree, the coordinates are relative to the tree.
+     *
+     * @param {String} name - the root of the subtree
+     * @param {Object} start - {x, y}
+     * @param {number} pointing
+     * @param {Object} breaks - name -> sorted list of breaks
+     * @param {Object} placements - where to store the placement of every node:
+     *        name -> { start, pointing, traced, bounds }
+     *
+     * @return {Object} the bounds of the subtree
+    */
+    this.place = function(name, start, pointing, breaks, placements) {//{{{
+        var node = self.nodes[name];
+        var traced = trace(start, pointing, node.length, breaks[name] || [], self.options.grid);
+        var bounds = pointsBounds(traced.points);
+
+        node.children.forEach(function(child) {
+            var at = locate(traced, self.nodes[child].offset);
+            var child_bounds = self.place(child, at, rotate(at.pointing, self.nodes[child].direction),
+                                          breaks, placements);
+            bounds = unionBounds(bounds, child_bounds);
+        });
+
+        placements[name] = {
+            start: start,
+            pointing: pointing,
+            traced: traced,
+            bounds: bounds
+        };
+
+        return bounds;
+    }//}}}
+
+
+    /**
+     * Build the segments of a branch in the coordinates of the diagram
+     *
+     * @param {String} name
+     * @param {Object} placement - the placement of the branch
+     * @param {Object} offset - the translation of its tree
+     *
+     * @return {Array.<Object>} {x1, y1, x2, y2, branch, index}
+    */
+    this.segments = function(name, placement, offset) {//{{{
+        var points = placement.traced.points;
+        var answer = [];
+
+        for(var i=1;i<points.length;i++) {
+            if(points[i].x == points[i-1].x && points[i].y == points[i-1].y) continue;
+            answer.push({
+                x1: points[i-1].x + offset.x, y1: points[i-1].y + offset.y,
+                x2: points[i].x + offset.x, y2: points[i].y + offset.y,
+                branch: name,
+                index: answer.length
+            });
+        }
+
+        return answer;
+    }//}}}
+
+
+    // place every tree as the TDiagram does (the roots start on a vertical
+    // branch of length 0 and point to the right)
+    this.placements = Object.create(null);
+    this.tree_bounds = this.roots.map(function(root) {
+        var node = self.nodes[root];
+        var start = { x: 0, y: -node.offset };
+        return self.place(root, start, cts.POINTING_RIGHT, Object.create(null), self.placements);
+    });
+    this.offsets = arrange(this.tree_bounds, this.options);
+
+    this.bounds = this.tree_bounds.map(function(b, i) {
+        var o = self.offsets[i];
+        return { left: b.left + o.x, top: b.top + o.y, right: b.right + o.x, bottom: b.bottom + o.y };
+    }).reduce(unionBounds, emptyBounds());
+
+    // index the segments
+    this.branch_segments = Object.create(null);
+    var all_segments = [];
+    Object.keys(this.nodes).forEach(function(name) {
+        self.branch_segments[name] = self.segments(name, self.placements[name],
+                                                   self.offsets[self.nodes[name].tree]);
+        self.branch_segments[name].forEach(function(s) {
+            s.id = all_segments.length;
+            all_segments.push(s);
+        });
+    });
+
+    var extent = Math.max(this.bounds.right - this.bounds.left, this.bounds.bottom - this.bounds.top);
+    var cell = extent > 0 && all_segments.length > 0 ? extent / Math.ceil(Math.sqrt(all_segments.length)) : 1;
+    this.grid = new SegmentGrid(cell);
+    all_segments.forEach(function(s) { self.grid.insert(s); });
+
+    // the intersections without any break, refer to tally
+    this.intersection_counts = tally(sweep(all_segments, this.nodes));
+
+
+    /**
+     * The positions (fractions of the length) where a branch may break when
+     * the breaks are snapped to the stations (the snap option of the TDiagram
+     * is 'children'): halfway between two consecutive stations, the start and
+     * the end of the branch being stations as well. On a grid, the positions
+     * are rounded to it.
+     *
+     * @param {String} name
+     *
+     * @return {Array.<number>|null} null if the breaks aren't snapped to the stations
+    */
+    this.positions = function(name) {//{{{
+        if(self.options.snap !== 'children') return null;
+
+        var node = self.nodes[name];
+        var stops = [0, node.length].concat(node.children.map(function(child) {
+            return self.nodes[child].offset;
+        })).sort(function(a, b) { return a - b; });
+
+        var answer = [];
+        for(var i=1;i<stops.length;i++) {
+            if(stops[i] == stops[i-1]) continue;
+            var d = (stops[i-1] + stops[i]) / 2;
+            if(self.options.grid) d = Math.round(d / self.options.grid) * self.options.grid;
+            var at = d / node.length;
+            if(at > 0 && at < 1 && answer.indexOf(at) < 0) answer.push(at);
+        }
+        return answer;
+    }//}}}
+
+
+    /**
+     * Snap a set of breaks: every break moves to the closest position allowed
+     * (refer to positions) or, on a grid, to the closest point of the grid
+     * that isn't an end of the branch (if the branch is long enough). The
+     * breaks that land on the same position as the previous one are dropped:
+     * they would make pieces of length 0. The breaks are left as they are
+     * without grid and snap option.
+     *
+     * @param {Object} breaks - name -> sorted list of breaks ({at, direction})
+     *
+     * @return {Object} the snapped breaks
+    */
+    this.snap = function(breaks) {//{{{
+        var grid = self.options.grid;
+        if(!grid && self.options.snap !== 'children') return breaks;
+
+        var answer = Object.create(null);
+        Object.keys(breaks).forEach(function(name) {
+            var node = self.nodes[name];
+            var positions = node === undefined ? null : self.positions(name);
+
+            answer[name] = breaks[name].map(function(b) {
+                var at = b.at;
+                if(positions !== null && positions.length > 0) {
+                    at = positions.reduce(function(best, p) {
+                        return Math.abs(p - b.at) < Math.abs(best - b.at) ? p : best;
+                    });
+                } else if(grid && node !== undefined && node.length > 0) {
+                    var steps = Math.floor(node.length / grid);
+                    var k = Math.round(b.at * node.length / grid);
+                    if(steps >= 2) k = Math.min(steps - 1, Math.max(1, k));
+                    at = k * grid / node.length;
+                }
+                return { at: at, direction: b.direction };
+            }).filter(function(b, i, list) {
+                return i == 0 || b.at != list[i-1].at;
+            });
+        });
+        return answer;
+    }//}}}
+
+
+    /**
+     * Apply a set of breaks to the layout
+     *
+     * @param {Object} breaks - name -> sorted list of breaks ({at, direction}),
+     *                          refer to TDiagramCost.normalizeBreaks
+     *
+     * @return {BrokenLayout}
+    */
+    this.apply = function(breaks) {//{{{
+        return new BrokenLayout(self, breaks);
+    }//}}}
+}
+
+
+/**
+ * A layout with breaks, refer to the documentation of the module. The nodes
+ * that don't exist in the diagram are ignored.
+ *
+ * @param {TDiagramLayout} base
+ * @param {Object} breaks - name -> sorted list of breaks
+*/
+function BrokenLayout(base, breaks) {
+    var self = this;
+    this.base = base;
+    this.breaks = Object.create(null);
+
+    Object.keys(breaks).forEach(function(name) {
+        if(name in base.nodes && breaks[name].length > 0) self.breaks[name] = breaks[name];
+    });
+
+    // the broken nodes without a broken ancestor: their subtrees are the only
+    // ones to place again
+    var changed = Object.keys(this.breaks).filter(function(name) {
+        var parent = base.nodes[name].parent;
+        while(parent in base.nodes) {
+            if(parent in self.breaks) return false;
+            parent = base.nodes[parent].parent;
+        }
+        return true;
+    });
+
+    // the ancestors of the changed nodes (themselves included)
+    var dirty = Object.create(null);
+    changed.forEach(function(name) {
+        while(name in base.nodes && !(name in dirty)) {
+            dirty[name] = true;
+            name = base.nodes[name].parent;
+        }
+    });
+
+    this.placements = Object.create(null);
+    changed.forEach(function(name) {
+        var placement = base.placements[name];
+        base.place(name, placement.start, placement.pointing, self.breaks, self.placements);
+    });
+
+
+    /**
+     * The placement of a node, relative to its tree
+     *
+     * @param {String} name
+     *
+     * @return {Object} { start, pointing, traced, bounds }
+    */
+    this.placement = function(name) {//{{{
+        return self.placements[name] || base.placements[name];
+    }//}}}
+
+
+    // the bounds of the trees: only the ancestors of the changed nodes are visited
+    function subtreeBounds(name) {
+        if(!(name in dirty) || name in self.placements) return self.placement(name).bounds;
+        return base.nodes[name].children.reduce(function(b, child) {
+            return unionBounds(b, subtreeBounds(child));
+        }, pointsBounds(base.placements[name].traced.points));
+    }
+
+    this.tree_bounds = base.roots.map(subtreeBounds);
+    this.offsets = arrange(this.tree_bounds, base.options);
+
+    this.bounds = this.tree_bounds.map(function(b, i) {
+        var o = self.offsets[i];
+        return { left: b.left + o.x, top: b.top + o.y, right: b.right + o.x, bottom: b.bottom + o.y };
+    }).reduce(unionBounds, emptyBounds());
+
+
+    /**
+     * The bounds of the layout
+     *
+     * @return {Object} {left, top, right, bottom}
+    */
+    this.getBounds = function() {//{{{
+        return self.bounds;
+    }//}}}
+
+
+    /**
+     * The polyline of every branch, in the coordinates of the diagram
+     *
+     * @return {Object} name -> Array.<{x, y}>
+    */
+    this.polylines = function() {//{{{
+        var answer = Object.create(null);
+        Object.keys(base.nodes).forEach(function(name) {
+            var o = self.offsets[base.nodes[name].tree];
+            answer[name] = self.placement(name).traced.points.map(function(p) {
+                return { x: p.x + o.x, y: p.y + o.y };
+            });
+        });
+        return answer;
+    }//}}}
+
+
+    /**
+     * The segments of a branch, in the coordinates of the diagram
+     *
+     * @param {String} name
+     *
+     * @return {Array.<Object>} refer to TDiagramLayout.segments
+    */
+    this.segments = function(name) {//{{{
+        var o = self.offsets[base.nodes[name].tree];
+        var b = base.offsets[base.nodes[name].tree];
+        if(!(name in self.placements) && o.x == b.x && o.y == b.y) return base.branch_segments[name];
+        return base.segments(name, self.placement(name), o);
+    }//}}}
+
+
+    /**
+     * Count the intersections between the segments of the branches, by type:
+     * crossings, touches and overlaps (refer to classify). The joints of the
+     * diagram (corners and starts of the branches on their parent) are left out.
+     *
+     * Only the segments of the branches that moved are looked at: the ones in
+     * the changed subtrees and the ones of the trees that were translated. The
+     * counts of the base are corrected by removing the intersections of their
+     * old segments and adding the ones of their new segments.
+     *
+     * @return {Object} { crossings, touches, overlaps, total }
+    */
+    var intersection_counts = null;
+    this.intersections = function() {//{{{
+        if(intersection_counts !== null) return intersection_counts;
+
+        var moved = Object.create(null);
+        Object.keys(self.placements).forEach(function(name) { moved[name] = true; });
+        base.offsets.forEach(function(o, tree) {
+            var n = self.offsets[tree];
+            if(o.x == n.x && o.y == n.y) return;
+            Object.keys(base.nodes).forEach(function(name) {
+                if(base.nodes[name].tree == tree) moved[name] = true;
+            });
+        });
+
+        var names = Object.keys(moved);
+        var old_segments = names.map(function(name) {
+            return base.branch_segments[name];
+        }).reduce(function(total, s) { return total.concat(s); }, []);
+        var new_segments = names.map(self.segments).reduce(function(total, s) {
+            return total.concat(s);
+        }, []);
+
+        // the intersections between a list of segments and the ones that didn't move
+        function withStill(segments) {
+            var answer = [];
+            segments.forEach(function(s) {
+                base.grid.query(s).forEach(function(t) {
+                    if(t.branch in moved) return;
+                    var intersection = classify(s, t, base.nodes);
+                    if(intersection !== null) answer.push(intersection);
+                });
+            });
+            return answer;
+        }
+
+        var counts = helpers.deepCopy(base.intersection_counts);
+        tally(withStill(old_segments), counts, -1);
+        tally(sweep(old_segments, base.nodes), counts, -1);
+        tally(withStill(new_segments), counts, 1);
+        tally(sweep(new_segments, base.nodes), counts, 1);
+        counts.total = counts.crossings + counts.touches + counts.overlaps;
+
+        intersection_counts = counts;
+        return intersection_counts;
+    }//}}}
+
+
+    /**
+     * List all the intersections of the layout (refer to classify), it's
+     * meant for debugging: every segment is looked at.
+     *
+     * @return {Array.<Object>} {type, branches, x, y} (and end for the overlaps)
+    */
+    this.intersectionPoints = function() {//{{{
+        var segments = Object.keys(base.nodes).map(self.segments).reduce(function(total, s) {
+            return total.concat(s);
+        }, []);
+        return sweep(segments, base.nodes);
+    }//}}}
+
+
+    /**
+     * Find what is closer than a minimum clearance without touching:
+     *
+     * - the pairs of parallel segments, e.g. two branches running side by side
+     * - the pairs of a station (the start of a branch) and a segment, the
+     *   segments of the branch and of its parent aside
+     *
+     * What touches (at a distance of 0) is an intersection, refer to
+     * intersections. Every segment is looked at.
+     *
+     * @param {number} min_clearance
+     *
+     * @return {Array.<Object>} { type: 'segments', branches: [String, String], distance }
+     *                          or { type: 'node', node, branch, distance }
+    */
+    var clearances = {};
+    this.clearance = function(min_clearance) {//{{{
+        if(min_clearance in clearances) return clearances[min_clearance];
+
+        var answer = [];
+        var grid = new SegmentGrid(Math.max(base.grid.cell, min_clearance));
+
+        // the box around a segment (or a point) where something is too close
+        function around(x1, y1, x2, y2) {
+            return {
+                x1: Math.min(x1, x2) - min_clearance, y1: Math.min(y1, y2) - min_clearance,
+                x2: Math.max(x1, x2) + min_clearance, y2: Math.max(y1, y2) + min_clearance
+            };
+        }
+
+        Object.keys(base.nodes).map(self.segments).forEach(function(segments) {
+            segments.forEach(function(s) {
+                grid.query(around(s.x1, s.y1, s.x2, s.y2)).forEach(function(t) {
+                    var distance = parallelDistance(s, t);
+                    if(distance !== null && distance > 0 && distance < min_clearance)
+                        answer.push({ type: 'segments', branches: [t.branch, s.branch], distance: distance });
+                });
+                grid.insert(s);
+            });
+        });
+
+        Object.keys(base.nodes).forEach(function(name) {
+            var o = self.offsets[base.nodes[name].tree];
+            var start = self.placement(name).start;
+            var station = { x: start.x + o.x, y: start.y + o.y };
+            var parent = base.nodes[name].parent;
+
+            grid.query(around(station.x, station.y, station.x, station.y)).forEach(function(t) {
+                if(t.branch === name || t.branch === parent) return;
+                var distance = pointDistance(station, t);
+                if(distance > 0 && distance < min_clearance)
+                    answer.push({ type: 'node', node: name, branch: t.branch, distance: distance });
+            });
+        });
+
+        clearances[min_clearance] = answer;
+        return answer;
+    }//}}}
+
+
+    /**
+     * Produce the geometry of the layout in the format of TDiagram.getGeometry.
+     * Every piece of a broken branch after a break is a hidden node (named b0,
+     * b1, ...) and every piece ends with a hidden node named after it with the
+     * suffix _end.
+     *
+     * @return {Object}
+    */
+    this.getGeometry = function() {//{{{
+        var geometry = Object.create(null);
+        var counter = 0;
+
+        function breakName() {
+            while('b' + counter in base.nodes || 'b' + counter + '_end' in base.nodes) counter++;
+            return 'b' + (counter++);
+        }
+
+        function addNode(name) {
+            var node = base.nodes[name];
+            var placement = self.placement(name);
+            var traced = placement.traced;
+            var o = self.offsets[node.tree];
+
+            // the pieces of the branch and the children starting on each one
+            var pieces = traced.pointings.map(function(pointing, i) {
+                return {
+                    name: i == 0 ? name : breakName(),
+                    start: traced.points[i],
+                    end: traced.points[i+1],
+                    pointing: pointing,
+                    length: traced.distances[i+1] - traced.distances[i],
+                    from: traced.distances[i],
+                    children: []
+                };
+            });
+            node.children.forEach(function(child) {
+                var d = base.nodes[child].offset;
+                var i = 0;
+                while(i < pieces.length - 1 && traced.distances[i+1] <= d) i++;
+                pieces[i].children.push(child);
+            });
+
+            pieces.forEach(function(piece, i) {
+                var entry = {
+                    name: piece.name,
+                    coordinates: { x: piece.start.x + o.x, y: piece.start.y + o.y },
+                    pointing: piece.pointing,
+                    length: piece.length,
+                    parent: i == 0 ? node.parent : pieces[i-1].name,
+                    children: piece.children.concat(i < pieces.length - 1 ? [pieces[i+1].name] : [],
+                                                    [piece.name + '_end']),
+                    hidden: i > 0
+                };
+                if(i > 0) entry.branch_at = pieces[i-1].length;
+                else if(node.branch_at !== null && node.branch_at !== undefined)
+                    entry.branch_at = node.branch_at;
+                if(i == 0 && node.properties !== undefined)
+                    entry.properties = helpers.deepCopy(node.properties);
+
+                geometry[piece.name] = entry;
+            });
+
+            // the children of every piece reference the piece they start on
+            pieces.forEach(function(piece) {
+                piece.children.forEach(function(child) {
+                    addNode(child);
+                    geometry[child].parent = piece.name;
+                    if(base.nodes[child].branch_at !== null && base.nodes[child].branch_at !== undefined)
+                        geometry[child].branch_at = base.nodes[child].offset - piece.from;
+                });
+            });
+
+            pieces.forEach(function(piece) {
+                geometry[piece.name + '_end'] = {
+                    name: piece.name + '_end',
+                    coordinates: { x: piece.end.x + o.x, y: piece.end.y + o.y },
+                    pointing: piece.pointing,
+                    length: 0,
+                    parent: piece.name,
+                    children: [],
+                    hidden: true,
+                    branch_at: piece.length
+                };
+            });
+        }
+
+        base.roots.forEach(function(root) {
+            addNode(root);
+        });
+
+        return geometry;
+    }//}}}
+}
+
+
+// the grid of segments is also the spatial index of the final layouts (refer
+// to TDiagramIndex)
+TDiagramLayout.SegmentGrid = SegmentGrid;
+
+module.exports = TDiagramLayout;
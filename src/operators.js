@@ -0,0 +1,327 @@
+/**
+ * @module operators
+ *
+ * The operators of the genetic algorithm used by TDiagramDrawer. Every family
+ * of operators is a map from the name of the operator to its function, the
+ * drawer picks them by name (refer to the options of TDiagramDrawer) but any
+ * function with the same signature can be provided instead.
+ *
+ * @type {Selection} Function : Array.<CostfulDiagram> x number x (() -> number) x Object
+ *                              -> Array.<CostfulDiagram>
+ *       given the graded population, the number of parents wanted, the random
+ *       number generator and the options of the drawer, returns the parents
+ * @type {Crossover} Function : CostfulDiagram x CostfulDiagram x (() -> number) -> Object
+ *       given two parents and the random number generator, returns the breaks
+ *       of the child
+ * @type {Mutation} Function : Object x TDiagramDrawer x (() -> number) x Object -> Object
+ *       given the breaks of a child, the drawer, the random number generator
+ *       and a map from the names of the mutations to the number of times they
+ *       were applied (to be incremented by the operator), returns the mutated
+ *       breaks
+*/
+
+
+const helpers = require('./helpers');
+
+
+/**
+ * The range in which the break points live
+*/
+const MIN_BREAK = 0.1;
+const MAX_BREAK = 0.9;
+
+
+/**
+ * Compare two costs (refer to TDiagramCost.cost): the disqualified ones come
+ * after the others whatever their total, then the lower total comes first
+ *
+ * @param {Object} c1
+ * @param {Object} c2
+ *
+ * @return {number} negative if c1 is better, positive if c2 is, 0 otherwise
+*/
+function compareCosts(c1, c2) {//{{{
+    var d1 = c1.disqualified !== undefined && c1.disqualified.length > 0 ? 1 : 0;
+    var d2 = c2.disqualified !== undefined && c2.disqualified.length > 0 ? 1 : 0;
+    if(d1 != d2) return d1 - d2;
+
+    // a custom term may give an infinite cost
+    if(c1.total == c2.total) return 0;
+    return c1.total - c2.total;
+}//}}}
+
+
+/**
+ * Sort a population by increasing cost without modifying it
+ *
+ * @param {Array.<CostfulDiagram>} population
+ *
+ * @return {Array.<CostfulDiagram>}
+*/
+function byCost(population) {//{{{
+    return population.slice().sort(function(s1, s2) {
+        return compareCosts(s1.cost, s2.cost);
+    });
+}//}}}
+
+
+/**
+ * Draw a number from the standard normal distribution (Box-Muller transform)
+ *
+ * @param {Function : () -> number} random
+ *
+ * @return {number}
+*/
+function gaussian(random) {//{{{
+    var u = 1 - random(); // in (0, 1] to avoid log(0)
+    var v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}//}}}
+
+
+/**
+ * Find the nodes next to a node in the original diagram: its parent, its
+ * children and its closest siblings. Only the visible nodes are considered.
+ *
+ * @param {Object} geometry - the geometry of the original diagram
+ * @param {String} name
+ *
+ * @return {Array.<String>}
+*/
+function neighbours(geometry, name) {//{{{
+    function visible(n) { return n in geometry && !geometry[n].hidden; }
+
+    var node = geometry[name];
+    var answer = node.children.filter(visible);
+
+    if(visible(node.parent)) {
+        answer.push(node.parent);
+
+        var siblings = geometry[node.parent].children.filter(visible);
+        var index = siblings.indexOf(name);
+        if(index > 0) answer.push(siblings[index - 1]);
+        if(index < siblings.length - 1) answer.push(siblings[index + 1]);
+    }
+
+    return answer;
+}//}}}
+
+
+/**
+ * The selection operators
+*/
+const selection = {
+    /**
+     * Keep every specimen whose cost is lower than a random fraction of the
+     * maximum cost. The number of parents varies from a generation to another.
+     * The disqualified specimens only compete when none is qualified.
+     *
+     * @type {Selection}
+    */
+    threshold: function(population, count, random) {//{{{
+        var qualified = population.filter(function(x) {
+            return !(x.cost.disqualified && x.cost.disqualified.length > 0);
+        });
+        if(qualified.length > 0) population = qualified;
+
+        // the specimens with an infinite cost never pass the threshold
+        var max = population.reduce(function(t, x) {
+            return t < x.cost.total && isFinite(x.cost.total) ? x.cost.total : t;
+        }, 0);
+        return population.filter(function(specimen) {
+            return specimen.cost.total < random() * max;
+        });
+    },//}}}
+
+
+    /**
+     * Every parent is the best of `tournament_size` (an option of the drawer,
+     * defaults to 3) specimens picked at random.
+     *
+     * @type {Selection}
+    */
+    tournament: function(population, count, random, options) {//{{{
+        var size = Math.max(1, (options && options.tournament_size) || 3);
+        if(population.length == 0) return [];
+
+        return Array(count).fill(0).map(function() {
+            var best = null;
+            for(var i=0;i<size;i++) {
+                var contender = population[Math.floor(random() * population.length)];
+                if(best === null || compareCosts(contender.cost, best.cost) < 0) best = contender;
+            }
+            return best;
+        });
+    },//}}}
+
+
+    /**
+     * Every parent is picked with a probability proportional to its rank: with
+     * n specimens, the best one has a weight of n and the worst one a weight of 1.
+     *
+     * @type {Selection}
+    */
+    rank: function(population, count, random) {//{{{
+        var sorted = byCost(population);
+        var n = sorted.length;
+        var total = n * (n + 1) / 2;
+        if(n == 0) return [];
+
+        return Array(count).fill(0).map(function() {
+            var r = random() * total;
+            for(var i=0;i<n-1;i++) {
+                r -= n - i;
+                if(r < 0) break;
+            }
+            return sorted[i];
+        });
+    },//}}}
+};
+
+
+/**
+ * The crossover operators
+*/
+const crossover = {
+    /**
+     * The breaks of every branch of each parent are inherited with a probability of 0.5
+     *
+     * @type {Crossover}
+    */
+    uniform: function(p1, p2, random) {//{{{
+        var breaks = {};
+        for(var k in p1.breaks) if(random() > 0.5) breaks[k] = helpers.deepCopy(p1.breaks[k]);
+        for(var k in p2.breaks) if(random() > 0.5) breaks[k] = helpers.deepCopy(p2.breaks[k]);
+        return breaks;
+    },//}}}
+};
+
+
+/**
+ * The mutation operators
+*/
+const mutation = {
+    /**
+     * Apply the following mutations, each one with its own probability taken
+     * from the `mutation_rates` option of the drawer:
+     *
+     * - perturb: (tried on every break) move the break point along its branch
+     *            by a gaussian step of deviation `mutation_sigma`, the result
+     *            is clamped to [0.1, 0.9]
+     * - remove: remove a random break
+     * - move: move the breaks of a random branch to a neighbouring node
+     *         (parent, child or closest sibling) that has no break
+     * - add: add a break at a random point of a random node having less than
+     *        `max_breaks` breaks, turning left or right
+     * - flip: make a random break turn the other way
+     *
+     * @type {Mutation}
+    */
+    standard: function(breaks, drawer, random, applied) {//{{{
+        var rates = drawer.options.mutation_rates;
+        var sigma = drawer.options.mutation_sigma;
+        applied = applied || {};
+
+        function apply(name) { applied[name] = (applied[name] || 0) + 1; }
+        function pick(arr) { return arr[Math.floor(random() * arr.length)]; }
+
+        // every break as a pair [node, index]
+        function all() {
+            return Object.keys(breaks).map(function(k) {
+                return breaks[k].map(function(b, i) { return [k, i]; });
+            }).reduce(function(total, x) {
+                return total.concat(x);
+            }, []);
+        }
+
+        Object.keys(breaks).forEach(function(k) {
+            breaks[k].forEach(function(b) {
+                if(random() < rates.perturb) {
+                    b.at = Math.min(MAX_BREAK, Math.max(MIN_BREAK, b.at + gaussian(random) * sigma));
+                    apply('perturb');
+                }
+            });
+            breaks[k].sort(function(b1, b2) { return b1.at - b2.at; });
+        });
+
+        if(random() < rates.remove && all().length > 0) {
+            var removed = pick(all());
+            breaks[removed[0]].splice(removed[1], 1);
+            if(breaks[removed[0]].length == 0) delete breaks[removed[0]];
+            apply('remove');
+        }
+
+        if(random() < rates.move && Object.keys(breaks).length > 0) {
+            var from = pick(Object.keys(breaks));
+            var targets = neighbours(drawer.geometry, from).filter(function(n) {
+                return !Object.prototype.hasOwnProperty.call(breaks, n);
+            });
+
+            if(targets.length > 0) {
+                breaks[pick(targets)] = breaks[from];
+                delete breaks[from];
+                apply('move');
+            }
+        }
+
+        if(random() < rates.add) {
+            var free_nodes = Object.keys(drawer.geometry).filter(function(x) {
+                return !drawer.geometry[x].hidden &&
+                       (!Object.prototype.hasOwnProperty.call(breaks, x) ||
+                        breaks[x].length < drawer.options.max_breaks);
+            });
+
+            if(free_nodes.length > 0) {
+                var node = pick(free_nodes);
+                var existing = Object.prototype.hasOwnProperty.call(breaks, node) ? breaks[node] : [];
+                breaks[node] = existing.concat([{
+                    at: random() * (MAX_BREAK - MIN_BREAK) + MIN_BREAK,
+                    direction: random() < 0.5 ? 'left' : 'right'
+                }]).sort(function(b1, b2) { return b1.at - b2.at; });
+                apply('add');
+            }
+        }
+
+        if(random() < rates.flip && all().length > 0) {
+            var flipped = pick(all());
+            var b = breaks[flipped[0]][flipped[1]];
+            b.direction = b.direction == 'left' ? 'right' : 'left';
+            apply('flip');
+        }
+
+        return breaks;
+    },//}}}
+};
+
+
+/**
+ * Find an operator by its name in a family of operators, functions are
+ * returned as they are.
+ *
+ * @param {Object} family - selection, crossover or mutation
+ * @param {String|Function} operator - the name of the operator or the operator
+ * @param {String} kind - the name of the family (used in the error message)
+ *
+ * @throws {Error} if no operator has that name
+ *
+ * @return {Function}
+*/
+function resolve(family, operator, kind) {//{{{
+    if(typeof operator === 'function') return operator;
+    if(Object.prototype.hasOwnProperty.call(family, operator)) return family[operator];
+    throw new Error('Unknown ' + kind + ' operator: ' + operator +
+                    ' (available: ' + Object.keys(family).join(', ') + ')');
+}//}}}
+
+
+
+module.exports = {
+    selection: selection,
+    crossover: crossover,
+    mutation: mutation,
+    compareCosts: compareCosts,
+    byCost: byCost,
+    gaussian: gaussian,
+    neighbours: neighbours,
+    resolve: resolve,
+}
@@ -0,0 +1,315 @@
+/**
+ * @module optimizers
+ *
+ * The optimizers searching for the breaks of a diagram with the lowest cost.
+ * They share the same interface and are picked by name (refer to optimize):
+ *
+ * @type {Optimizer} Function : TDiagram x Object x Object -> Array.<CostfulDiagram>
+ *       given the diagram, the cost parameters (refer to TDiagramCost.cost) and
+ *       the options of the optimizer, returns the best specimens found ranked
+ *       by increasing cost, at most `keep` of them (10 by default). Every
+ *       specimen is { breaks, diagram, cost }.
+*/
+
+
+const TDiagramCost = require('./cost');
+const TDiagramDrawer = require('./drawer');
+const helpers = require('./helpers');
+const operators = require('./operators');
+const specimens = require('./specimen');
+const terms = require('./terms');
+
+
+/**
+ * Grade a break genome
+ *
+ * @param {TDiagram} tdiagram
+ * @param {Object} cost_params
+ * @param {Object} breaks
+ *
+ * @return {CostfulDiagram} { breaks, diagram, cost }
+*/
+function grade(tdiagram, cost_params, breaks) {//{{{
+    var diagram = new TDiagramCost(tdiagram);
+    breaks = tdiagram.snapBreaks(TDiagramCost.normalizeBreaks(breaks));
+    diagram.introduceBreaks(breaks);
+    return { breaks: breaks, diagram: diagram, cost: diagram.cost(cost_params) };
+}//}}}
+
+
+/**
+ * A key identifying a break genome, whatever the order of its nodes
+ *
+ * @param {Object} breaks - normalized breaks
+ *
+ * @return {String}
+*/
+function key(breaks) {//{{{
+    return JSON.stringify(Object.keys(breaks).sort().map(function(name) {
+        return [name, breaks[name]];
+    }));
+}//}}}
+
+
+/**
+ * The best specimens seen so far, every genome is kept once
+ *
+ * @param {number} keep - the number of specimens to keep
+*/
+function Ranking(keep) {
+    var self = this;
+    var specimens = [];
+    var keys = {};
+
+    /**
+     * Offer a specimen to the ranking
+     *
+     * @param {CostfulDiagram} specimen
+    */
+    this.add = function(specimen) {//{{{
+        var k = key(specimen.breaks);
+        if(k in keys) return;
+        var worst = self.worst();
+        if(worst !== null && !(operators.compareCosts(specimen.cost, worst) < 0)) return;
+
+        keys[k] = true;
+        specimens.push(specimen);
+        specimens = operators.byCost(specimens);
+        if(specimens.length > keep) delete keys[key(specimens.pop().breaks)];
+    }//}}}
+
+    /**
+     * The cost a specimen has to beat to enter the ranking (refer to
+     * operators.compareCosts)
+     *
+     * @return {Object|null} null while the ranking isn't full
+    */
+    this.worst = function() {//{{{
+        return specimens.length < keep ? null : specimens[specimens.length - 1].cost;
+    }//}}}
+
+    /**
+     * The specimens ranked by increasing cost
+     *
+     * @return {Array.<CostfulDiagram>}
+    */
+    this.list = function() {//{{{
+        return specimens.slice();
+    }//}}}
+}
+
+
+/**
+ * The optimizers
+*/
+const optimizers = {
+    /**
+     * The genetic algorithm of TDiagramDrawer. The options are the ones of the
+     * drawer plus:
+     *
+     * - population_size: 100 by default
+     * - mutation_prob: 0.3 by default
+     * - generations: the number of generations, 100 by default
+     *
+     * @type {Optimizer}
+    */
+    genetic: function(tdiagram, cost_params, options) {//{{{
+        options = options || {};
+        var drawer = new TDiagramDrawer(cost_params, options.population_size || 100,
+            options.mutation_prob === undefined ? 0.3 : options.mutation_prob, tdiagram, options);
+
+        var ranking = new Ranking(options.keep || 10);
+        drawer.learn(options.generations || 100).forEach(ranking.add);
+        if(drawer.best !== null) ranking.add(drawer.best);
+        return ranking.list();
+    },//}}}
+
+
+    /**
+     * Simulated annealing: starting from `breaks` (none by default), a random
+     * neighbour of the current genome (made by the standard mutation) replaces
+     * it if it's better, or with a probability of exp(-delta / temperature) if
+     * it's worse. The temperature decreases geometrically. The options are:
+     *
+     * - iterations: 2000 by default
+     * - temperature: the starting temperature, the cost of the starting genome
+     *                by default
+     * - final_temperature: 1/1000 of the starting temperature by default
+     * - breaks: the starting genome or a saved specimen, the breaks of the nodes
+     *           the diagram doesn't have are dropped (refer to specimen.inherit)
+     * - seed, random: as for TDiagramDrawer
+     * - mutation_rates, mutation_sigma, max_breaks: as for TDiagramDrawer,
+     *   the rates default to { perturb: 0.3, remove: 0.1, move: 0.1, add: 0.2, flip: 0.1 }
+     *
+     * @type {Optimizer}
+    */
+    annealing: function(tdiagram, cost_params, options) {//{{{
+        options = options || {};
+        var random = options.random || helpers.createRandom(options.seed);
+        var iterations = options.iterations === undefined ? 2000 : options.iterations;
+        var ranking = new Ranking(options.keep || 10);
+
+        // what the standard mutation needs from a drawer
+        var context = {
+            geometry: tdiagram.getGeometry(),
+            options: {
+                mutation_rates: helpers.extendObjs({
+                    perturb: 0.3, remove: 0.1, move: 0.1, add: 0.2, flip: 0.1
+                }, options.mutation_rates),
+                mutation_sigma: options.mutation_sigma || 0.05,
+                max_breaks: options.max_breaks || 3
+            }
+        };
+
+        var current = grade(tdiagram, cost_params, specimens.inherit(options.breaks || {}, tdiagram));
+        ranking.add(current);
+
+        var start = options.temperature;
+        if(start === undefined) start = isFinite(current.cost.total) && current.cost.total > 0 ? current.cost.total : 1;
+        var end = options.final_temperature === undefined ? start / 1000 : options.final_temperature;
+
+        for(var i=0;i<iterations;i++) {
+            var temperature = start * Math.pow(end / start, i / iterations);
+
+            // a mutation may leave the genome as it is, a few more are tried then
+            var breaks = null;
+            for(var tries=0;tries<10 && (breaks === null || key(breaks) == key(current.breaks));tries++)
+                breaks = TDiagramCost.normalizeBreaks(
+                    operators.mutation.standard(helpers.deepCopy(current.breaks), context, random));
+
+            var next = grade(tdiagram, cost_params, breaks);
+            ranking.add(next);
+
+            // a specimen worse for being disqualified may have a lower total
+            var delta = Math.abs(next.cost.total - current.cost.total);
+            if(operators.compareCosts(next.cost, current.cost) <= 0 ||
+               (isFinite(delta) && random() < Math.exp(-delta / temperature)))
+                current = next;
+        }
+
+        return ranking.list();
+    },//}}}
+
+
+    /**
+     * Exhaustive search: every genome having at most `max_total_breaks` breaks
+     * (3 by default), at most one per branch, placed at one of the `positions`
+     * ([0.25, 0.5, 0.75] by default) and turning left or right. When the breaks
+     * are snapped to the stations, the positions are the ones allowed on every
+     * branch (refer to TDiagramLayout.positions). It's meant for small diagrams
+     * (up to ~15 branches).
+     *
+     * It's a branch and bound: the terms are assumed to be non-negative, so a
+     * genome can't cost less than its breaks term and no break is added once
+     * that term alone is worse than the ranked specimens. The search stops
+     * after `max_evaluations` genomes if provided.
+     *
+     * @type {Optimizer}
+    */
+    exhaustive: function(tdiagram, cost_params, options) {//{{{
+        options = options || {};
+        var positions = options.positions || [0.25, 0.5, 0.75];
+        var max_total = options.max_total_breaks === undefined ? 3 : options.max_total_breaks;
+        var max_evaluations = options.max_evaluations || Infinity;
+        var ranking = new Ranking(options.keep || 10);
+
+        var geometry = tdiagram.getGeometry();
+        var branches = Object.keys(geometry).filter(function(name) {
+            return !geometry[name].hidden;
+        });
+
+        // the breaks tried on every branch, once snapped (refer to TDiagram.snapBreaks)
+        var layout = tdiagram.getLayout();
+        var placements = {};
+        branches.forEach(function(name) {
+            var candidates = {};
+            candidates[name] = (layout.positions(name) || positions).map(function(at) {
+                return { at: at, direction: 'left' };
+            });
+            var snapped = layout.snap(candidates)[name];
+
+            placements[name] = [];
+            snapped.forEach(function(b) {
+                if(placements[name].some(function(p) { return p.at == b.at; })) return;
+                placements[name].push({ at: b.at, direction: 'left' });
+                placements[name].push({ at: b.at, direction: 'right' });
+            });
+        });
+
+        // the lowest cost of a genome with k breaks
+        var breaks_term = terms.resolve(cost_params).filter(function(t) {
+            return t.term === terms.registry.breaks;
+        })[0];
+        function bound(k) {
+            return breaks_term === undefined ? 0 : breaks_term.weight * k * k;
+        }
+
+        var evaluations = 0;
+        (function explore(from, breaks, k) {
+            if(evaluations >= max_evaluations) return;
+            evaluations++;
+            ranking.add(grade(tdiagram, cost_params, breaks));
+
+            // a qualified genome beats any disqualified one whatever its cost
+            var worst = ranking.worst();
+            var beaten = worst !== null && worst.disqualified.length == 0 && !(bound(k + 1) < worst.total);
+            if(k >= max_total || beaten) return;
+            for(var i=from;i<branches.length;i++) {
+                placements[branches[i]].forEach(function(placement) {
+                    var next = helpers.extendObjs(breaks, {});
+                    next[branches[i]] = [placement];
+                    explore(i + 1, next, k + 1);
+                });
+            }
+        })(0, {}, 0);
+
+        return ranking.list();
+    },//}}}
+};
+
+
+/**
+ * Find the breaks of a diagram with the lowest cost
+ *
+ * @param {TDiagram} tdiagram
+ * @param {Object} cost_params - refer to TDiagramCost.cost
+ * @param {Object} options - the options of the optimizer, plus:
+ *        optimizer: the name of the optimizer ('genetic' by default,
+ *                   'annealing' or 'exhaustive') or an optimizer
+ *        keep: the number of specimens returned (10 by default)
+ *
+ * @throws {Error} if no optimizer has that name
+ *
+ * @return {Array.<CostfulDiagram>} the best specimens, ranked by increasing
+ *                                   cost, JSON.stringify saves them (refer to
+ *                                   the specimen module)
+*/
+function optimize(tdiagram, cost_params, options) {//{{{
+    options = options || {};
+    var name = options.optimizer || 'genetic';
+    var optimizer = name;
+
+    if(typeof optimizer !== 'function') {
+        if(!Object.prototype.hasOwnProperty.call(optimizers, optimizer))
+            throw new Error('Unknown optimizer: ' + optimizer +
+                            ' (available: ' + Object.keys(optimizers).join(', ') + ')');
+        optimizer = optimizers[optimizer];
+    }
+
+    var settings = {
+        optimizer: typeof name === 'function' ? 'custom' : name,
+        cost_params: cost_params,
+        options: options
+    };
+
+    return optimizer(tdiagram, cost_params, options).map(function(specimen) {
+        return specimens.attach(specimen, settings);
+    });
+}//}}}
+
+
+
+module.exports = {
+    optimizers: optimizers,
+    optimize: optimize,
+}
@@ -0,0 +1,166 @@
+/**
+ * @module page
+ *
+ * The pages a diagram can be fitted in. A page is given by the name of a preset
+ * ('A4', 'B5', 'letter', ...) or by an object:
+ *
+ * ```
+ * {
+ *    preset : string, // the name of a preset, provides the width, height and unit
+ *    width : number,
+ *    height : number,
+ *    unit : string, // 'px' (default), 'mm', 'cm', 'in' or 'pt'
+ *    orientation : string, // 'portrait' or 'landscape'
+ *    margin : number | { top, right, bottom, left } // in the unit of the page
+ * }
+ * ```
+*/
+
+
+/**
+ * The size of the units in CSS pixels (96 per inch)
+*/
+const UNITS = { px: 1, mm: 96 / 25.4, cm: 96 / 2.54, in: 96, pt: 96 / 72 };
+
+
+/**
+ * The preset sizes in millimetres, portrait. The ISO A and B sizes are made by
+ * halving the previous size along its long side, starting at A0 and B0.
+*/
+const PRESETS = {
+    letter: { width: 215.9, height: 279.4, unit: 'mm' },
+    legal: { width: 215.9, height: 355.6, unit: 'mm' },
+    tabloid: { width: 279.4, height: 431.8, unit: 'mm' }
+};
+
+[['A', 841, 1189], ['B', 1000, 1414]].forEach(function(series) {
+    var width = series[1], height = series[2];
+    for(var i=0;i<=10;i++) {
+        PRESETS[series[0] + i] = { width: width, height: height, unit: 'mm' };
+        var half = Math.floor(height / 2);
+        height = width;
+        width = half;
+    }
+});
+
+
+/**
+ * Bring a page to its canonical form
+ *
+ * @param {String|Object} page - refer to the documentation of the module
+ *
+ * @throws {Error} if the preset or the unit is unknown or if there's no room
+ *                 on the page
+ *
+ * @return {Object} { width, height, unit, margins: {top, right, bottom, left} }
+*/
+function resolve(page) {//{{{
+    if(typeof page === 'string') page = { preset: page };
+
+    var size = {};
+    if(page.preset !== undefined) {
+        var name = Object.keys(PRESETS).filter(function(k) {
+            return k.toLowerCase() == String(page.preset).toLowerCase();
+        })[0];
+        if(name === undefined)
+            throw new Error('Unknown page size: ' + page.preset +
+                            ' (available: ' + Object.keys(PRESETS).join(', ') + ')');
+        size = PRESETS[name];
+    }
+
+    var unit = page.unit || size.unit || 'px';
+    if(!Object.prototype.hasOwnProperty.call(UNITS, unit))
+        throw new Error('Unknown unit: ' + unit + ' (available: ' + Object.keys(UNITS).join(', ') + ')');
+
+    // the preset is converted if another unit is asked for
+    var factor = size.unit === undefined ? 1 : UNITS[size.unit] / UNITS[unit];
+    var width = page.width !== undefined ? page.width : size.width * factor;
+    var height = page.height !== undefined ? page.height : size.height * factor;
+
+    if(!(width > 0 && height > 0)) throw new Error('A page needs a positive width and height');
+
+    if((page.orientation == 'landscape' && width < height) ||
+       (page.orientation == 'portrait' && width > height)) {
+        var t = width;
+        width = height;
+        height = t;
+    }
+
+    var margin = page.margin || 0;
+    var margins = typeof margin === 'number' ?
+        { top: margin, right: margin, bottom: margin, left: margin } :
+        { top: margin.top || 0, right: margin.right || 0, bottom: margin.bottom || 0, left: margin.left || 0 };
+
+    if(margins.left + margins.right >= width || margins.top + margins.bottom >= height)
+        throw new Error('The margins leave no room on the page');
+
+    return { width: width, height: height, unit: unit, margins: margins };
+}//}}}
+
+
+/**
+ * Fit bounds in a page: the drawing is scaled as much as the page allows,
+ * without being distorted, and centered in the area inside the margins.
+ *
+ * @param {Object} bounds - {left, top, right, bottom} in the units of the diagram
+ * @param {String|Object} page
+ *
+ * @return {Object} { scale, width, height, unit, viewbox } where scale is the
+ *                  size of a unit of the diagram on the page (in the unit of
+ *                  the page) and viewbox the part of the diagram shown by the
+ *                  whole page ([x, y, width, height], in the units of the diagram)
+*/
+function fit(bounds, page) {//{{{
+    page = resolve(page);
+
+    var inner_width = page.width - page.margins.left - page.margins.right;
+    var inner_height = page.height - page.margins.top - page.margins.bottom;
+    var width = bounds.right - bounds.left;
+    var height = bounds.bottom - bounds.top;
+
+    var scale = Math.min(width > 0 ? inner_width / width : Infinity,
+                         height > 0 ? inner_height / height : Infinity);
+    if(!isFinite(scale)) scale = 1;
+
+    var left = bounds.left - (page.margins.left + (inner_width - width * scale) / 2) / scale;
+    var top = bounds.top - (page.margins.top + (inner_height - height * scale) / 2) / scale;
+
+    return {
+        scale: scale,
+        width: page.width,
+        height: page.height,
+        unit: page.unit,
+        viewbox: [left, top, page.width / scale, page.height / scale]
+    };
+}//}}}
+
+
+/**
+ * How much bounds overflow a page when drawn at a given scale, relatively to
+ * the area inside the margins: 0 if they fit.
+ *
+ * @param {Object} bounds - {left, top, right, bottom} in the units of the diagram
+ * @param {String|Object} page
+ * @param {number} scale - the size of a unit of the diagram on the page
+ *
+ * @return {number}
+*/
+function overflow(bounds, page, scale) {//{{{
+    page = resolve(page);
+
+    var inner_width = page.width - page.margins.left - page.margins.right;
+    var inner_height = page.height - page.margins.top - page.margins.bottom;
+
+    return Math.max(0, (bounds.right - bounds.left) * scale - inner_width) / inner_width +
+           Math.max(0, (bounds.bottom - bounds.top) * scale - inner_height) / inner_height;
+}//}}}
+
+
+
+module.exports = {
+    UNITS: UNITS,
+    PRESETS: PRESETS,
+    resolve: resolve,
+    fit: fit,
+    overflow: overflow,
+}
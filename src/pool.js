@@ -0,0 +1,165 @@
+const path = require('path');
+
+/**
+ * A pool of workers grading specimens in parallel. Every worker runs the
+ * worker module (src/worker.js): it's given the diagram once and then only
+ * receives the breaks of the specimens to grade, it sends back their costs.
+ *
+ * In Node the workers are worker_threads. In the browser a factory creating
+ * Web Workers running a bundle of src/worker.js must be provided. The factory
+ * may return anything with a postMessage and a terminate method that emits
+ * 'message' events (either through `on` or `addEventListener`).
+ *
+ * @param {number} size - the number of workers
+ * @param {Object} init - { nodes, options, cost_params }: the nodes and the
+ *                        options of the TDiagram and the cost parameters
+ * @param {Function : () -> Worker} factory - creates a worker (optional in Node)
+*/
+function TDiagramWorkerPool(size, init, factory) {
+    var workers = [];
+    var pending = {}; // id -> {resolve, reject}
+    var initializing = {}; // id of the init -> worker
+    var next_id = 0;
+    var last_error = null; // why the last worker was retired
+
+    factory = factory || function() {
+        const Worker = require('worker_threads').Worker;
+        return new Worker(path.join(__dirname, 'worker.js'));
+    };
+
+
+    /*
+     * Handle the answer of a worker, a worker that can't be initialized is
+     * retired
+     *
+     * @param {Object} message - {id, costs}, {id} for the init or {id, error}
+    */
+    function receive(message) {//{{{
+        var initialized = initializing[message.id];
+        if(initialized !== undefined) {
+            delete initializing[message.id];
+            if(message.error !== undefined) retire(initialized, new Error(message.error));
+            return;
+        }
+
+        var task = pending[message.id];
+        if(task === undefined) return;
+        delete pending[message.id];
+
+        if(message.error !== undefined) task.reject(new Error(message.error));
+        else task.resolve(message.costs);
+    }//}}}
+
+
+    /*
+     * Reject all the tasks that are waiting for an answer
+     *
+     * @param {Error} error
+    */
+    function failAll(error) {//{{{
+        Object.keys(pending).forEach(function(id) {
+            pending[id].reject(error);
+            delete pending[id];
+        });
+    }//}}}
+
+
+    /*
+     * Take a worker that failed (or died) out of the pool, the tasks waiting
+     * for an answer are rejected since the one it was given never comes
+     *
+     * @param {Worker} worker
+     * @param {Error} error
+    */
+    function retire(worker, error) {//{{{
+        var index = workers.indexOf(worker);
+        if(index < 0) return; // already retired or terminated
+
+        workers.splice(index, 1);
+        last_error = error;
+        failAll(error);
+        worker.terminate();
+    }//}}}
+
+
+    for(var i=0;i<size;i++) {
+        (function(worker) {
+            if(typeof worker.on === 'function') {
+                worker.on('message', receive);
+                worker.on('error', function(e) { retire(worker, e); });
+                worker.on('exit', function(code) {
+                    retire(worker, new Error('a worker exited with the code ' + code));
+                });
+            } else {
+                worker.addEventListener('message', function(e) { receive(e.data); });
+                worker.addEventListener('error', function(e) {
+                    retire(worker, new Error(e.message || 'worker error'));
+                });
+            }
+
+            var id = next_id++;
+            initializing[id] = worker;
+            worker.postMessage({
+                type: 'init',
+                id: id,
+                nodes: init.nodes,
+                options: init.options,
+                cost_params: init.cost_params
+            });
+            workers.push(worker);
+        })(factory());
+    }
+
+
+    /**
+     * Grade a list of break genomes. The list is split in contiguous chunks,
+     * one per worker. A worker that fails or exits is taken out of the pool
+     * and the grading it was part of is rejected, the next ones are shared by
+     * the workers left.
+     *
+     * @param {Array.<Object>} genomes - the breaks of the specimens
+     *
+     * @return {Promise.<Array.<Object>>} the costs, in the same order
+    */
+    this.grade = function(genomes) {//{{{
+        if(workers.length == 0)
+            return Promise.reject(last_error || new Error('the worker pool was terminated'));
+
+        var chunk = Math.ceil(genomes.length / workers.length);
+
+        var tasks = workers.map(function(worker, i) {
+            var part = genomes.slice(i * chunk, (i + 1) * chunk);
+            if(part.length == 0) return Promise.resolve([]);
+
+            var id = next_id++;
+            return new Promise(function(resolve, reject) {
+                pending[id] = { resolve: resolve, reject: reject };
+                worker.postMessage({ type: 'grade', id: id, genomes: part });
+            });
+        });
+
+        return Promise.all(tasks).then(function(parts) {
+            return parts.reduce(function(total, part) {
+                return total.concat(part);
+            }, []);
+        });
+    }//}}}
+
+
+    /**
+     * Terminate all the workers, the tasks still running are rejected
+    */
+    this.terminate = function() {//{{{
+        var terminated = workers;
+        workers = []; // their exit is expected
+        last_error = null;
+
+        failAll(new Error('the worker pool was terminated'));
+        terminated.forEach(function(worker) {
+            worker.terminate();
+        });
+    }//}}}
+}
+
+
+module.exports = TDiagramWorkerPool;
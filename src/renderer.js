@@ -0,0 +1,470 @@
+const helpers = require('./helpers');
+const pages = require('./page');
+
+/**
+ * The default theme of the renderer. Every value can be overridden by the
+ * theme given to the renderer, and most of them per node through the node's
+ * `properties` (refer to TDiagramRenderer).
+*/
+const DEFAULT_THEME = {
+    margin: 10, // the space left around the drawing
+    page: null, // the page to fit the drawing in, refer to the page module (replaces the margin)
+    background: null, // the fill of the background, null for a transparent one
+    line_color: 'black', // the colour of the branches
+    line_width: 1, // the stroke width of the branches
+    corner_radius: 4, // the radius of the corners of the branches, 0 for sharp corners
+    marker: 'circle', // the marker of the stations: 'circle', 'square', 'diamond' or 'none'
+    marker_size: 2, // the radius (or half side) of the markers
+    marker_color: 'black', // the fill of the markers
+    marker_stroke: 'none', // the stroke of the markers
+    labels: true, // whether to draw the labels of the stations
+    label_color: 'black',
+    font_family: 'sans-serif',
+    font_size: 8,
+    label_offset: 3, // the space between the marker and its label
+    class_prefix: 'td-' // prefix of the classes and ids generated
+};
+
+
+/**
+ * The positions tried (in order) when placing the label of a station. Each
+ * position is the direction in which the label is moved away from the station.
+*/
+const LABEL_POSITIONS = [
+    { dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: -1 }, { dx: 0, dy: 1 },
+    { dx: 1, dy: -1 }, { dx: 1, dy: 1 }, { dx: -1, dy: -1 }, { dx: -1, dy: 1 }
+];
+
+
+/**
+ * A renderer producing a styled SVG out of the final layout of a diagram.
+ *
+ * Every station (non hidden node) is drawn with a marker and a label, and every
+ * branch with lines. The following keys of the `properties` of a node are used
+ * to style it (all of them are optional):
+ *
+ * ```
+ * {
+ *    label : string, // the text of the label (defaults to the name of the node)
+ *    color : string, // the colour of the branch
+ *    stroke_width : number, // the width of the branch
+ *    marker : string, // 'circle', 'square', 'diamond' or 'none'
+ *    marker_size : number,
+ *    marker_color : string,
+ *    label_color : string,
+ *    class : string // additional classes of the station and its branch
+ * }
+ * ```
+ *
+ * Every branch is drawn as a single path going through its breaks, with its
+ * corners rounded (refer to the corner_radius of the theme). The radius of a
+ * corner shrinks when the segments around it are too short to fit it.
+ *
+ * The stations are drawn in a group with the class `<prefix>station` and the id
+ * `<prefix>station-<name>`, the branches with the class `<prefix>branch`, the id
+ * `<prefix>branch-<name>` and the name of the node in the `data-branch` attribute.
+ * In the ids, the characters other than letters, digits, _ and - are replaced
+ * by _ and the names that would then share an id get a suffix (-2, -3, ...).
+ *
+ * @param {Object} theme - overrides of DEFAULT_THEME
+*/
+function TDiagramRenderer(theme) {
+    this.theme = helpers.extendObjs(DEFAULT_THEME, theme);
+
+    var self = this;
+
+
+    /*
+     * Turn a name into something that can be used in an id or a class
+     *
+     * @param {String} name
+     *
+     * @return {String}
+    */
+    function sanitize(name) {//{{{
+        return String(name).replace(/[^A-Za-z0-9_-]/g, '_');
+    }//}}}
+
+
+    /*
+     * Give every visible node of a geometry its own id (sanitized), in the
+     * order of the geometry: a name colliding with a previous one (e.g. 'a b'
+     * after 'a_b') gets the first free suffix -2, -3, ...
+     *
+     * @param {Object} geometry
+     *
+     * @return {Object} name -> id
+    */
+    function uniqueIds(geometry) {//{{{
+        var ids = Object.create(null);
+        var taken = Object.create(null);
+        Object.keys(geometry).filter(function(name) {
+            return !geometry[name].hidden;
+        }).forEach(function(name) {
+            var id = sanitize(name);
+            for(var k=2;id in taken;k++) id = sanitize(name) + '-' + k;
+            taken[id] = true;
+            ids[name] = id;
+        });
+        return ids;
+    }//}}}
+
+
+    /*
+     * Check if two rectangles ({left, top, right, bottom}) overlap
+     *
+     * @return {boolean}
+    */
+    function overlap(r1, r2) {//{{{
+        return r1.left <= r2.right && r2.left <= r1.right &&
+               r1.top <= r2.bottom && r2.top <= r1.bottom;
+    }//}}}
+
+
+    /*
+     * Read a style value of a node, falling back on the theme
+     *
+     * @param {Object} node - a node of the geometry
+     * @param {String} key - the key in the properties
+     * @param {String} theme_key - the key in the theme
+     *
+     * @return {*}
+    */
+    function style(node, key, theme_key) {//{{{
+        var properties = node.properties || {};
+        return properties[key] !== undefined ? properties[key] : self.theme[theme_key];
+    }//}}}
+
+
+    /*
+     * Extract the geometry out of a layout
+     *
+     * @param {TDiagram|TDiagramCost} layout
+     *
+     * @return {Object}
+    */
+    function geometryOf(layout) {//{{{
+        if(typeof layout.getGeometry === 'function') return layout.getGeometry();
+        return layout.geometry;
+    }//}}}
+
+
+    /*
+     * Split polylines into their segments
+     *
+     * @param {Object} polylines - as returned by helpers.branchPolylines
+     *
+     * @return {Array.<Object>} every segment is { from, to, branch }
+    */
+    function segments(polylines) {//{{{
+        return Object.keys(polylines).map(function(name) {
+            return polylines[name].slice(1).map(function(to, i) {
+                return { from: polylines[name][i], to: to, branch: name };
+            });
+        }).reduce(function(total, segs) {
+            return total.concat(segs);
+        }, []);
+    }//}}}
+
+
+    /**
+     * Generate the `d` attribute of the path of a polyline whose corners are
+     * rounded with a given radius. A segment gives each of its corners at most
+     * half of its length (all of it if the other end is not a corner) so the
+     * radius is reduced when the segments are too short.
+     *
+     * @param {Array.<Object>} points - the points ({x, y}) of the polyline
+     * @param {number} radius
+     *
+     * @return {String}
+    */
+    this.roundedPath = function(points, radius) {//{{{
+        function distance(p, q) {
+            return Math.abs(p.x - q.x) + Math.abs(p.y - q.y);
+        }
+
+        // the unit vector from p to q
+        function direction(p, q) {
+            var d = distance(p, q);
+            return { x: (q.x - p.x) / d, y: (q.y - p.y) / d };
+        }
+
+        var d = 'M ' + points[0].x + ' ' + points[0].y;
+
+        for(var i=1;i<points.length-1;i++) {
+            var prev = points[i-1], p = points[i], next = points[i+1];
+            var before = distance(prev, p) / (i - 1 > 0 ? 2 : 1);
+            var after = distance(p, next) / (i + 1 < points.length - 1 ? 2 : 1);
+            var r = Math.min(radius, before, after);
+
+            if(r <= 0) {
+                d += ' L ' + p.x + ' ' + p.y;
+                continue;
+            }
+
+            var din = direction(prev, p);
+            var dout = direction(p, next);
+            // with the y axis pointing down, a positive cross product is a clockwise turn
+            var sweep = din.x * dout.y - din.y * dout.x > 0 ? 1 : 0;
+
+            d += ' L ' + (p.x - din.x * r) + ' ' + (p.y - din.y * r) +
+                 ' A ' + r + ' ' + r + ' 0 0 ' + sweep + ' ' +
+                 (p.x + dout.x * r) + ' ' + (p.y + dout.y * r);
+        }
+
+        var last = points[points.length - 1];
+        return d + ' L ' + last.x + ' ' + last.y;
+    }//}}}
+
+
+    /*
+     * Generate the svg of a marker
+     *
+     * @param {Object} node - a node of the geometry
+     *
+     * @return {String}
+    */
+    function marker(node) {//{{{
+        var shape = style(node, 'marker', 'marker');
+        var size = style(node, 'marker_size', 'marker_size');
+        var x = node.coordinates.x;
+        var y = node.coordinates.y;
+        var attributes = {
+            'class': self.theme.class_prefix + 'marker',
+            fill: style(node, 'marker_color', 'marker_color'),
+            stroke: self.theme.marker_stroke
+        };
+
+        if(shape == 'none') return '';
+        if(shape == 'square') {
+            return '<rect '+helpers.dict2attributes(helpers.extendObjs(attributes, {
+                x: x - size, y: y - size, width: 2 * size, height: 2 * size
+            }))+'/>';
+        }
+        if(shape == 'diamond') {
+            return '<polygon '+helpers.dict2attributes(helpers.extendObjs(attributes, {
+                points: [[x, y - size], [x + size, y], [x, y + size], [x - size, y]].map(function(p) {
+                    return p.join(',');
+                }).join(' ')
+            }))+'/>';
+        }
+        return '<circle '+helpers.dict2attributes(helpers.extendObjs(attributes, {
+            r: size, cx: x, cy: y
+        }))+'/>';
+    }//}}}
+
+
+    /**
+     * Place the labels of the stations. Every label is tried at the positions
+     * of LABEL_POSITIONS and the first one not overlapping a segment, a marker
+     * or another label is kept. If none is free, the one with the least
+     * overlaps is kept.
+     *
+     * The size of a label is estimated from the font size and the number of
+     * characters.
+     *
+     * @param {Object} geometry
+     * @param {Array.<Object>} segs - the segments as returned by segments (computed
+     *                                from the geometry if not provided)
+     *
+     * @return {Object} map from the name of the station to its label:
+     *                  { text, x, y, anchor, box, collisions } where collisions
+     *                  is the number of things the label overlaps
+    */
+    this.placeLabels = function(geometry, segs) {//{{{
+        if(segs === undefined) segs = segments(helpers.branchPolylines(geometry));
+        var font_size = self.theme.font_size;
+        var stations = Object.keys(geometry).filter(function(name) {
+            return !geometry[name].hidden;
+        });
+
+        var obstacles = segs.map(function(s) {
+            return {
+                left: Math.min(s.from.x, s.to.x), right: Math.max(s.from.x, s.to.x),
+                top: Math.min(s.from.y, s.to.y), bottom: Math.max(s.from.y, s.to.y)
+            };
+        }).concat(stations.map(function(name) {
+            var node = geometry[name];
+            var size = style(node, 'marker_size', 'marker_size');
+            return {
+                left: node.coordinates.x - size, right: node.coordinates.x + size,
+                top: node.coordinates.y - size, bottom: node.coordinates.y + size
+            };
+        }));
+
+        var labels = {};
+        stations.forEach(function(name) {
+            var node = geometry[name];
+            var properties = node.properties || {};
+            var text = String(properties.label !== undefined ? properties.label : name);
+            var width = text.length * font_size * 0.6;
+            var height = font_size;
+            var distance = style(node, 'marker_size', 'marker_size') + self.theme.label_offset;
+
+            var candidates = LABEL_POSITIONS.map(function(pos) {
+                var cx = node.coordinates.x + pos.dx * (distance + (pos.dx == 0 ? 0 : width / 2));
+                var cy = node.coordinates.y + pos.dy * (distance + height / 2);
+                var box = {
+                    left: cx - width / 2, right: cx + width / 2,
+                    top: cy - height / 2, bottom: cy + height / 2
+                };
+                var collisions = obstacles.filter(function(o) {
+                    return overlap(o, box);
+                }).length;
+
+                return {
+                    text: text,
+                    x: pos.dx == 0 ? cx : (pos.dx > 0 ? box.left : box.right),
+                    y: cy + font_size * 0.35, // approximately centers the text vertically
+                    anchor: pos.dx == 0 ? 'middle' : (pos.dx > 0 ? 'start' : 'end'),
+                    box: box,
+                    collisions: collisions
+                };
+            });
+
+            var best = candidates.reduce(function(best, c) {
+                return c.collisions < best.collisions ? c : best;
+            }, candidates[0]);
+
+            labels[name] = best;
+            obstacles.push(best.box);
+        });
+
+        return labels;
+    }//}}}
+
+
+    /**
+     * Compute the size of the SVG and the part of the diagram it shows. Without
+     * a page, the drawing is surrounded by the margin of the theme and a unit
+     * of the diagram is a pixel. With a page, the drawing is scaled to fill it
+     * (refer to the page module).
+     *
+     * @param {Object} bounds - the bounds of everything drawn ({left, top, right, bottom})
+     *
+     * @return {Object} { scale, width, height, unit, viewbox }
+    */
+    this.frame = function(bounds) {//{{{
+        if(self.theme.page !== null) return pages.fit(bounds, self.theme.page);
+
+        var margin = self.theme.margin;
+        var width = bounds.right - bounds.left + 2 * margin;
+        var height = bounds.bottom - bounds.top + 2 * margin;
+        return {
+            scale: 1,
+            width: width,
+            height: height,
+            unit: 'px',
+            viewbox: [bounds.left - margin, bounds.top - margin, width, height]
+        };
+    }//}}}
+
+
+    /**
+     * Generate the SVG of a layout.
+     *
+     * @param {TDiagram|TDiagramCost} layout - a diagram or a broken diagram
+     *
+     * @return {String}
+    */
+    this.render = function(layout) {//{{{
+        var theme = self.theme;
+        var prefix = theme.class_prefix;
+        var geometry = geometryOf(layout);
+        var polylines = helpers.branchPolylines(geometry);
+        var segs = segments(polylines);
+        var labels = theme.labels ? self.placeLabels(geometry, segs) : {};
+        var ids = uniqueIds(geometry);
+
+        function classes(base, node) {
+            var extra = node.properties && node.properties['class'];
+            return prefix + base + (extra ? ' ' + extra : '');
+        }
+
+        var lines = Object.keys(polylines).filter(function(name) {
+            return polylines[name].length > 1;
+        }).map(function(name) {
+            var branch = geometry[name];
+            return '<path '+helpers.dict2attributes({
+                'class': classes('branch', branch),
+                id: prefix + 'branch-' + ids[name],
+                'data-branch': name,
+                d: self.roundedPath(polylines[name], theme.corner_radius),
+                fill: 'none',
+                stroke: style(branch, 'color', 'line_color'),
+                'stroke-width': style(branch, 'stroke_width', 'line_width'),
+                'stroke-linecap': 'round',
+                'stroke-linejoin': 'round'
+            })+'/>';
+        }).join('');
+
+        var stations = Object.keys(geometry).filter(function(name) {
+            return !geometry[name].hidden;
+        }).map(function(name) {
+            var node = geometry[name];
+            var label = '';
+            if(name in labels) {
+                label = '<text '+helpers.dict2attributes({
+                    'class': prefix + 'label',
+                    x: labels[name].x,
+                    y: labels[name].y,
+                    'text-anchor': labels[name].anchor,
+                    fill: style(node, 'label_color', 'label_color'),
+                    'font-family': theme.font_family,
+                    'font-size': theme.font_size
+                })+'>'+helpers.escapeXML(labels[name].text)+'</text>';
+            }
+
+            return '<g '+helpers.dict2attributes({
+                'class': classes('station', node),
+                id: prefix + 'station-' + ids[name],
+                'data-name': name
+            })+'>'+marker(node)+label+'</g>';
+        }).join('');
+
+        // the bounds of everything drawn
+        var boxes = Object.keys(labels).map(function(name) { return labels[name].box; });
+        var bounds = Object.keys(geometry).reduce(function(b, name) {
+            var c = geometry[name].coordinates;
+            var size = geometry[name].hidden ? 0 : style(geometry[name], 'marker_size', 'marker_size');
+            return {
+                left: Math.min(b.left, c.x - size), right: Math.max(b.right, c.x + size),
+                top: Math.min(b.top, c.y - size), bottom: Math.max(b.bottom, c.y + size)
+            };
+        }, {
+            left: Number.POSITIVE_INFINITY, right: Number.NEGATIVE_INFINITY,
+            top: Number.POSITIVE_INFINITY, bottom: Number.NEGATIVE_INFINITY
+        });
+        bounds = boxes.reduce(function(b, box) {
+            return {
+                left: Math.min(b.left, box.left), right: Math.max(b.right, box.right),
+                top: Math.min(b.top, box.top), bottom: Math.max(b.bottom, box.bottom)
+            };
+        }, bounds);
+
+        var frame = self.frame(bounds);
+        var viewbox = frame.viewbox;
+
+        var background = theme.background === null ? '' : '<rect '+helpers.dict2attributes({
+            'class': prefix + 'background',
+            x: viewbox[0], y: viewbox[1], width: viewbox[2], height: viewbox[3],
+            fill: theme.background
+        })+'/>';
+
+        return '<svg '+helpers.dict2attributes({
+            'class': prefix + 'diagram',
+            width: frame.unit == 'px' ? frame.width : frame.width + frame.unit,
+            height: frame.unit == 'px' ? frame.height : frame.height + frame.unit,
+            viewBox: viewbox.join(' '),
+            xmlns: 'http://www.w3.org/2000/svg'
+        })+'>'+background+
+            '<g '+helpers.dict2attributes({ 'class': prefix + 'branches' })+'>'+lines+'</g>'+
+            '<g '+helpers.dict2attributes({ 'class': prefix + 'stations' })+'>'+stations+'</g>'+
+        '</svg>';
+    }//}}}
+}
+
+
+TDiagramRenderer.DEFAULT_THEME = DEFAULT_THEME;
+
+module.exports = TDiagramRenderer;
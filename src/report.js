@@ -0,0 +1,363 @@
+/**
+ * @module report
+ *
+ * A report of an optimization as a single HTML page that works offline: the
+ * cost per generation, the gallery of the best specimens with the breakdown of
+ * their costs, and the selected layout that can be panned (drag) and zoomed
+ * (wheel). Hovering a piece of a branch shows the name of its node and where
+ * the piece lies on the branch (as fractions of its length, the breaks being
+ * the ends of the pieces).
+ *
+ * ```
+ * const history = new report.TDiagramHistory();
+ * const population = drawer.learn(100, history.record);
+ * fs.writeFileSync('report.html', report.generate(population, { history: history }));
+ * ```
+*/
+
+
+const helpers = require('./helpers');
+const operators = require('./operators');
+
+
+/**
+ * Round a number for display
+ *
+ * @param {number} x
+ *
+ * @return {String}
+*/
+function format(x) {//{{{
+    if(x === null || x === undefined) return '-';
+    if(!isFinite(x)) return String(x);
+    return String(Math.round(x * 1000) / 1000);
+}//}}}
+
+
+/**
+ * The history of an optimization: the costs of the population after every
+ * generation. record is a step_callback of TDiagramDrawer.learn (it never
+ * stops the learning) and listen follows the progress events of a drawer.
+*/
+function TDiagramHistory() {
+    var self = this;
+
+    // { generation, best, mean, worst } for every generation, the
+    // disqualified specimens (and the infinite costs) left out
+    this.generations = [];
+
+    /**
+     * Record the costs of a generation
+     *
+     * @param {number} generation
+     * @param {Array.<Object>} costs - the costs of the population (refer to
+     *                                 TDiagramCost.cost)
+     *
+     * @return {boolean} true
+    */
+    this.record = function(generation, costs) {//{{{
+        var totals = costs.filter(function(c) {
+            return typeof c === 'number' || !(c.disqualified && c.disqualified.length > 0);
+        }).map(function(c) {
+            return typeof c === 'number' ? c : c.total;
+        }).filter(isFinite);
+
+        self.generations.push({
+            generation: generation,
+            best: totals.length == 0 ? null : Math.min.apply(null, totals),
+            mean: totals.length == 0 ? null : totals.reduce(function(a, b) { return a + b; }, 0) / totals.length,
+            worst: totals.length == 0 ? null : Math.max.apply(null, totals)
+        });
+        return true;
+    }//}}}
+
+    /**
+     * Record the generations of a drawer from its progress events
+     *
+     * @param {TDiagramDrawer} drawer
+     *
+     * @return {TDiagramHistory} this history
+    */
+    this.listen = function(drawer) {//{{{
+        drawer.on('progress', function(e) {
+            self.record(e.generation, e.costs);
+        });
+        return self;
+    }//}}}
+}
+
+
+/**
+ * The chart of the cost per generation
+ *
+ * @param {Array.<Object>} generations - refer to TDiagramHistory
+ *
+ * @return {String} an SVG
+*/
+function chart(generations) {//{{{
+    var width = 640, height = 220, left = 60, right = 10, top = 10, bottom = 30;
+    var points = generations.filter(function(g) { return g.best !== null; });
+    if(points.length == 0) return '<p class="empty">No history was recorded.</p>';
+
+    var max_cost = Math.max.apply(null, points.map(function(g) { return g.mean; }));
+    var min_cost = Math.min.apply(null, points.map(function(g) { return g.best; }));
+    if(max_cost == min_cost) max_cost = min_cost + 1;
+    var first = points[0].generation, last = points[points.length - 1].generation;
+    if(last == first) last = first + 1;
+
+    function x(generation) { return left + (generation - first) / (last - first) * (width - left - right); }
+    function y(cost) { return top + (max_cost - cost) / (max_cost - min_cost) * (height - top - bottom); }
+    function line(key, cls) {
+        return '<polyline class="' + cls + '" fill="none" points="' + points.map(function(g) {
+            return x(g.generation) + ',' + y(g[key]);
+        }).join(' ') + '"/>';
+    }
+
+    return '<svg class="chart" viewBox="0 0 ' + width + ' ' + height + '" xmlns="http://www.w3.org/2000/svg">' +
+        '<line class="axis" x1="' + left + '" y1="' + (height - bottom) + '" x2="' + (width - right) + '" y2="' + (height - bottom) + '"/>' +
+        '<line class="axis" x1="' + left + '" y1="' + top + '" x2="' + left + '" y2="' + (height - bottom) + '"/>' +
+        '<text x="' + (left - 5) + '" y="' + (top + 10) + '" text-anchor="end">' + format(max_cost) + '</text>' +
+        '<text x="' + (left - 5) + '" y="' + (height - bottom) + '" text-anchor="end">' + format(min_cost) + '</text>' +
+        '<text x="' + left + '" y="' + (height - 10) + '">' + (first + 1) + '</text>' +
+        '<text x="' + (width - right) + '" y="' + (height - 10) + '" text-anchor="end">' + (last + 1) + '</text>' +
+        '<text x="' + (width / 2) + '" y="' + (height - 10) + '" text-anchor="middle">generation</text>' +
+        line('mean', 'mean') + line('best', 'best') +
+    '</svg>';
+}//}}}
+
+
+/**
+ * The transparent pieces of the branches of a layout that show what they are
+ * when hovered
+ *
+ * @param {Object} geometry - refer to TDiagram.getGeometry
+ * @param {Object} breaks - the breaks of the specimen
+ *
+ * @return {String} SVG elements
+*/
+function hitAreas(geometry, breaks) {//{{{
+    var polylines = helpers.branchPolylines(geometry);
+
+    return Object.keys(polylines).map(function(name) {
+        var points = polylines[name];
+        var lengths = [0];
+        for(var i=1;i<points.length;i++)
+            lengths.push(lengths[i-1] + Math.abs(points[i].x - points[i-1].x) + Math.abs(points[i].y - points[i-1].y));
+        var total = lengths[lengths.length - 1] || 1;
+
+        var description = (breaks[name] || []).map(function(b) {
+            return format(b.at) + ' ' + b.direction;
+        }).join(', ');
+
+        return points.slice(1).map(function(p, i) {
+            return '<line ' + helpers.dict2attributes({
+                'class': 'hit',
+                x1: points[i].x, y1: points[i].y, x2: p.x, y2: p.y,
+                'data-branch': name,
+                'data-piece': (i + 1) + '/' + (points.length - 1),
+                'data-from': format(lengths[i] / total),
+                'data-to': format(lengths[i+1] / total),
+                'data-breaks': description
+            }) + '/>';
+        }).join('');
+    }).join('');
+}//}}}
+
+
+/**
+ * The card of a specimen in the gallery
+ *
+ * @param {CostfulDiagram} specimen
+ * @param {number} rank - its rank, from 0
+ * @param {Object} theme - the theme of the renderer
+ *
+ * @return {String}
+*/
+function card(specimen, rank, theme) {//{{{
+    var diagram = specimen.diagram;
+    var prefix = 'td' + rank + '-';
+
+    var svg = diagram.generateSVG(helpers.extendObjs(theme, { class_prefix: prefix }));
+    svg = svg.replace(/<\/svg>$/, '<g class="hits">' + hitAreas(diagram.geometry, specimen.breaks) + '</g></svg>');
+
+    var cost = specimen.cost;
+    var rows = Object.keys(cost.terms).map(function(name) {
+        var term = cost.terms[name];
+        var disqualified = (cost.disqualified || []).indexOf(name) >= 0;
+        return '<tr' + (disqualified ? ' class="disqualified"' : '') + '><td>' + helpers.escapeXML(name) +
+               '</td><td>' + format(term.value) + '</td><td>' + format(term.weight) +
+               '</td><td>' + format(term.cost) + '</td></tr>';
+    }).join('');
+
+    var intersections = diagram.intersections();
+
+    return '<div class="card" data-rank="' + rank + '">' +
+        '<div class="thumbnail">' + svg + '</div>' +
+        '<h3>#' + (rank + 1) + ' &mdash; cost ' + format(cost.total) + '</h3>' +
+        '<p>' + diagram.num_branches + ' breaks, ' + intersections.total + ' intersections (' +
+            intersections.crossings + ' crossings, ' + intersections.touches + ' touches, ' +
+            intersections.overlaps + ' overlaps), ' + format(diagram.getCanvasWidth()) + ' &times; ' +
+            format(diagram.getCanvasHeight()) + ' (aspect ratio ' +
+            format(diagram.getCanvasWidth() / diagram.getCanvasHeight()) + ')</p>' +
+        '<table><tr><th>term</th><th>value</th><th>weight</th><th>cost</th></tr>' + rows +
+        '<tr class="total"><td>total</td><td></td><td></td><td>' + format(cost.total) + '</td></tr></table>' +
+    '</div>';
+}//}}}
+
+
+const STYLE = [
+    'body { font-family: sans-serif; margin: 20px; color: #222; }',
+    'h1 { font-size: 1.4em; } h2 { font-size: 1.1em; margin-top: 1.5em; } h3 { font-size: 1em; margin: 6px 0; }',
+    '.chart { width: 640px; max-width: 100%; } .chart text { font-size: 11px; fill: #555; }',
+    '.chart .axis { stroke: #999; } .chart .best { stroke: #c0392b; stroke-width: 2; } .chart .mean { stroke: #2980b9; stroke-dasharray: 4 2; }',
+    '.legend .best { color: #c0392b; } .legend .mean { color: #2980b9; }',
+    '#viewer { width: 100%; height: 60vh; border: 1px solid #ccc; overflow: hidden; cursor: grab; background: #fff; }',
+    '#viewer svg { width: 100%; height: 100%; }',
+    '.gallery { display: flex; flex-wrap: wrap; gap: 12px; }',
+    '.card { border: 1px solid #ccc; padding: 8px; width: 300px; cursor: pointer; font-size: 12px; }',
+    '.card.selected { border-color: #c0392b; box-shadow: 0 0 4px #c0392b; }',
+    '.thumbnail svg { width: 100%; height: 180px; }',
+    '.card table { border-collapse: collapse; width: 100%; } .card td, .card th { border-bottom: 1px solid #eee; text-align: right; padding: 1px 4px; }',
+    '.card td:first-child, .card th:first-child { text-align: left; }',
+    '.card .disqualified { color: #c0392b; } .card .total { font-weight: bold; }',
+    '.hit { stroke: transparent; stroke-width: 6; stroke-linecap: round; vector-effect: non-scaling-stroke; }',
+    '.hit:hover { stroke: rgba(192, 57, 43, 0.4); }',
+    '#tooltip { position: fixed; display: none; background: #222; color: #fff; padding: 4px 6px; font-size: 12px; pointer-events: none; border-radius: 3px; }',
+    '.empty { color: #888; }'
+].join('\n');
+
+
+// the pan, the zoom, the selection and the tooltips
+const SCRIPT = function() {
+    var viewer = document.getElementById('viewer');
+    var tooltip = document.getElementById('tooltip');
+    var cards = document.querySelectorAll('.card');
+    var box = null, drag = null;
+
+    function show(svg) {
+        box = svg.getAttribute('viewBox').split(' ').map(Number);
+        svg.removeAttribute('width');
+        svg.removeAttribute('height');
+    }
+
+    function select(card) {
+        cards.forEach(function(c) { c.classList.remove('selected'); });
+        card.classList.add('selected');
+        viewer.innerHTML = '';
+        var svg = card.querySelector('svg').cloneNode(true);
+        viewer.appendChild(svg);
+        show(svg);
+    }
+
+    function update() {
+        viewer.querySelector('svg').setAttribute('viewBox', box.join(' '));
+    }
+
+    cards.forEach(function(card) {
+        card.addEventListener('click', function() { select(card); });
+    });
+
+    viewer.addEventListener('wheel', function(e) {
+        if(box === null) return;
+        e.preventDefault();
+        var rect = viewer.getBoundingClientRect();
+        var factor = e.deltaY > 0 ? 1.2 : 1 / 1.2;
+        var scale = Math.max(box[2] / rect.width, box[3] / rect.height);
+        // the point under the mouse stays in place
+        var x = box[0] + (box[2] - rect.width * scale) / 2 + (e.clientX - rect.left) * scale;
+        var y = box[1] + (box[3] - rect.height * scale) / 2 + (e.clientY - rect.top) * scale;
+        box = [x - (x - box[0]) * factor, y - (y - box[1]) * factor, box[2] * factor, box[3] * factor];
+        update();
+    });
+
+    viewer.addEventListener('mousedown', function(e) {
+        if(box !== null) drag = { x: e.clientX, y: e.clientY, box: box.slice() };
+    });
+    window.addEventListener('mousemove', function(e) {
+        if(drag === null) return;
+        var rect = viewer.getBoundingClientRect();
+        var scale = Math.max(drag.box[2] / rect.width, drag.box[3] / rect.height);
+        box = [drag.box[0] - (e.clientX - drag.x) * scale, drag.box[1] - (e.clientY - drag.y) * scale,
+               drag.box[2], drag.box[3]];
+        update();
+    });
+    window.addEventListener('mouseup', function() { drag = null; });
+
+    document.getElementById('reset').addEventListener('click', function() {
+        var selected = document.querySelector('.card.selected');
+        if(selected) select(selected);
+    });
+
+    document.addEventListener('mouseover', function(e) {
+        var hit = e.target.closest ? e.target.closest('.hit') : null;
+        if(hit === null) {
+            tooltip.style.display = 'none';
+            return;
+        }
+        var d = hit.dataset;
+        tooltip.textContent = d.branch + ': piece ' + d.piece + ', from ' + d.from + ' to ' + d.to +
+                              ' of the branch' + (d.breaks ? ' (breaks: ' + d.breaks + ')' : '');
+        tooltip.style.display = 'block';
+    });
+    document.addEventListener('mousemove', function(e) {
+        tooltip.style.left = (e.clientX + 12) + 'px';
+        tooltip.style.top = (e.clientY + 12) + 'px';
+    });
+
+    if(cards.length > 0) select(cards[0]);
+};
+
+
+/**
+ * Generate the report of an optimization
+ *
+ * @param {Array.<CostfulDiagram>} specimens - the graded specimens (e.g. the
+ *                                             population or the result of
+ *                                             optimize), the best ones are shown
+ * @param {Object} options - the following (optional) keys:
+ *        top: the number of specimens in the gallery (10 by default)
+ *        history: a TDiagramHistory (or its generations) for the chart
+ *        title: the title of the page
+ *        theme: the theme of the renderer
+ *
+ * @return {String} the HTML page
+*/
+function generate(specimens, options) {//{{{
+    options = helpers.extendObjs({ top: 10, history: null, title: 'T-Diagram optimization report', theme: {} }, options);
+
+    // the best specimens, every genome once
+    var seen = {};
+    var best = operators.byCost(specimens.filter(function(s) {
+        return s.cost !== undefined;
+    })).filter(function(s) {
+        var key = JSON.stringify(s.breaks);
+        if(key in seen) return false;
+        seen[key] = true;
+        return true;
+    }).slice(0, options.top);
+
+    var history = options.history === null ? [] :
+        (Array.isArray(options.history) ? options.history : options.history.generations);
+    var title = helpers.escapeXML(options.title);
+
+    return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>' + title + '</title>\n' +
+        '<style>\n' + STYLE + '\n</style>\n</head>\n<body>\n' +
+        '<h1>' + title + '</h1>\n' +
+        '<h2>Cost per generation</h2>\n' + chart(history) + '\n' +
+        (history.length > 0 ? '<p class="legend"><span class="best">&mdash; best</span> ' +
+                              '<span class="mean">- - mean</span> of the population</p>\n' : '') +
+        '<h2>Selected layout</h2>\n<p><button id="reset">Reset the view</button> ' +
+        'Drag to pan, scroll to zoom, hover a branch to see what it is.</p>\n' +
+        '<div id="viewer"></div>\n' +
+        '<h2>The ' + best.length + ' best specimens</h2>\n' +
+        '<div class="gallery">\n' + best.map(function(s, i) { return card(s, i, options.theme); }).join('\n') +
+        '\n</div>\n<div id="tooltip"></div>\n' +
+        '<script>\n(' + SCRIPT.toString() + ')();\n</script>\n</body>\n</html>\n';
+}//}}}
+
+
+
+module.exports = {
+    TDiagramHistory: TDiagramHistory,
+    generate: generate,
+}
@@ -0,0 +1,267 @@
+/**
+ * @module spatial
+ *
+ * Queries on the final layout of a diagram: the stations and the segments of
+ * the branches at a point, in a region or nearest to a point, e.g. to make an
+ * interactive view of a diagram (refer to TDiagramIndex).
+*/
+
+
+const helpers = require('./helpers');
+const TDiagramLayout = require('./layout');
+
+
+/**
+ * A spatial index over the final layout of a diagram, to find what lies at a
+ * point (e.g. a click) or in a region. The stations are the nodes declared by
+ * the user and the segments are the straight pieces of their branches: the
+ * pieces made by the breaks belong to the branch they break.
+ *
+ * Every station found is { name, x, y, properties, distance } (the distance
+ * to the point queried, if any) and every segment { branch, piece, x1, y1, x2,
+ * y2, from, to } where piece is the index of the segment along its branch and
+ * from, to where it starts and ends on the branch (as fractions of its length,
+ * the breaks being the ends of the pieces).
+ *
+ * The index is a grid of cells of `options.cell` units (by default the side of
+ * a square holding ~one station), it's built once: a new index is needed when
+ * the layout changes.
+ *
+ * @param {TDiagram|TDiagramCost|Object} diagram - a diagram, a broken diagram or
+ *                                                 their geometry
+ * @param {Object} options - { cell, tolerance } where tolerance is the distance
+ *                           at which a point still hits a station or a branch
+ *                           (2 by default, the size of the markers)
+ *
+ * @throws {Error} if the layout has coordinates that aren't finite numbers
+*/
+function TDiagramIndex(diagram, options) {
+    var self = this;
+    var geometry = typeof diagram.getGeometry === 'function' ? diagram.getGeometry() : diagram;
+    var polylines = helpers.branchPolylines(geometry);
+
+    this.options = helpers.extendObjs({ cell: null, tolerance: 2 }, options);
+
+    this.stations = Object.keys(polylines).map(function(name) {
+        var node = geometry[name];
+        return { name: name, x: node.coordinates.x, y: node.coordinates.y, properties: node.properties || {} };
+    });
+
+    this.segments = [];
+    Object.keys(polylines).forEach(function(name) {
+        var points = polylines[name];
+        var lengths = [0];
+        for(var i=1;i<points.length;i++)
+            lengths.push(lengths[i-1] + Math.abs(points[i].x - points[i-1].x) + Math.abs(points[i].y - points[i-1].y));
+        var total = lengths[lengths.length - 1] || 1;
+
+        for(var i=1;i<points.length;i++) {
+            self.segments.push({
+                branch: name, piece: i - 1,
+                x1: points[i-1].x, y1: points[i-1].y, x2: points[i].x, y2: points[i].y,
+                from: lengths[i-1] / total, to: lengths[i] / total
+            });
+        }
+    });
+
+    this.bounds = this.stations.concat(this.segments.map(function(s) {
+        return { x: s.x2, y: s.y2 };
+    })).reduce(function(b, p) {
+        return {
+            left: Math.min(b.left, p.x), right: Math.max(b.right, p.x),
+            top: Math.min(b.top, p.y), bottom: Math.max(b.bottom, p.y)
+        };
+    }, { left: Infinity, right: -Infinity, top: Infinity, bottom: -Infinity });
+
+    // e.g. a coordinate computed from a missing length
+    var b = this.bounds;
+    if(this.stations.length > 0 && ![b.left, b.right, b.top, b.bottom].every(isFinite))
+        throw new Error('The layout has coordinates that are not finite');
+
+    // the order of the stations and of the segments, to sort the answers
+    var order = new Map();
+    this.stations.forEach(function(s, i) { order.set(s, i); });
+    this.segments.forEach(function(s, i) { order.set(s, i); });
+
+    var cell = this.options.cell;
+    if(!(cell > 0)) {
+        var area = (this.bounds.right - this.bounds.left) * (this.bounds.bottom - this.bounds.top);
+        cell = Math.max(1, Math.sqrt(area / Math.max(1, this.stations.length)));
+    }
+
+    var station_grid = new TDiagramLayout.SegmentGrid(cell);
+    var segment_grid = new TDiagramLayout.SegmentGrid(cell);
+    this.stations.forEach(function(s) {
+        station_grid.insert({ x1: s.x, y1: s.y, x2: s.x, y2: s.y, station: s });
+    });
+    this.segments.forEach(segment_grid.insert);
+
+
+    /*
+     * Find the items of a grid in the cells covered by a rectangle, the part
+     * of the rectangle out of the layout is left out
+    */
+    function query(grid, rect) {//{{{
+        var b = self.bounds;
+        var left = Math.max(rect.left, b.left), right = Math.min(rect.right, b.right);
+        var top = Math.max(rect.top, b.top), bottom = Math.min(rect.bottom, b.bottom);
+        if(left > right || top > bottom) return [];
+        return grid.query({ x1: left, y1: top, x2: right, y2: bottom });
+    }//}}}
+
+
+    /*
+     * The distance from a point to a segment
+    */
+    function segmentDistance(s, x, y) {//{{{
+        var dx = Math.max(Math.min(s.x1, s.x2) - x, 0, x - Math.max(s.x1, s.x2));
+        var dy = Math.max(Math.min(s.y1, s.y2) - y, 0, y - Math.max(s.y1, s.y2));
+        return Math.sqrt(dx * dx + dy * dy);
+    }//}}}
+
+
+    /*
+     * The closest item of a grid around a point within a distance
+    */
+    function closest(grid, distance, x, y, radius) {//{{{
+        var best = null, best_distance = Infinity;
+        query(grid, { left: x - radius, top: y - radius, right: x + radius, bottom: y + radius })
+            .forEach(function(item) {
+                var d = distance(item, x, y);
+                if(d <= radius && d < best_distance) {
+                    best = item;
+                    best_distance = d;
+                }
+            });
+        return best === null ? null : { item: best, distance: best_distance };
+    }//}}}
+
+
+    /*
+     * The distance from a point to a station of the grid
+    */
+    function pointDistance(item, x, y) {//{{{
+        return Math.sqrt(Math.pow(item.x1 - x, 2) + Math.pow(item.y1 - y, 2));
+    }//}}}
+
+
+    /*
+     * The station found by closest, with its distance
+    */
+    function station(found) {//{{{
+        return helpers.extendObjs(found.item.station, { distance: found.distance });
+    }//}}}
+
+
+    /*
+     * Check that a point queried has finite coordinates
+    */
+    function checkPoint(x, y) {//{{{
+        if(typeof x !== 'number' || typeof y !== 'number' || !isFinite(x) || !isFinite(y))
+            throw new Error('The point must have finite coordinates, got ' + x + ', ' + y);
+    }//}}}
+
+
+    /**
+     * The station at a point: the closest one within the tolerance
+     *
+     * @param {number} x
+     * @param {number} y
+     * @param {number} tolerance - the tolerance of the index by default
+     *
+     * @throws {Error} if the coordinates aren't finite numbers
+     *
+     * @return {Object|null} the station, null if there's none
+    */
+    this.nodeAt = function(x, y, tolerance) {//{{{
+        checkPoint(x, y);
+        if(tolerance === undefined) tolerance = self.options.tolerance;
+        var found = closest(station_grid, pointDistance, x, y, tolerance);
+        return found === null ? null : station(found);
+    }//}}}
+
+
+    /**
+     * The segment of a branch at a point: the closest one within the tolerance
+     *
+     * @param {number} x
+     * @param {number} y
+     * @param {number} tolerance - the tolerance of the index by default
+     *
+     * @throws {Error} if the coordinates aren't finite numbers
+     *
+     * @return {Object|null} the segment, null if there's none
+    */
+    this.segmentAt = function(x, y, tolerance) {//{{{
+        checkPoint(x, y);
+        if(tolerance === undefined) tolerance = self.options.tolerance;
+        var found = closest(segment_grid, segmentDistance, x, y, tolerance);
+        return found === null ? null : found.item;
+    }//}}}
+
+
+    /**
+     * The closest station to a point, however far it is
+     *
+     * @param {number} x
+     * @param {number} y
+     *
+     * @throws {Error} if the coordinates aren't finite numbers
+     *
+     * @return {Object|null} the station, null if the diagram has none
+    */
+    this.nearestNode = function(x, y) {//{{{
+        checkPoint(x, y);
+        if(self.stations.length == 0) return null;
+
+        // a station closer than the radius is in the square of the radius,
+        // the square grows until one is found
+        var b = self.bounds;
+        var farthest = Math.max(Math.abs(x - b.left), Math.abs(x - b.right),
+                                Math.abs(y - b.top), Math.abs(y - b.bottom)) * Math.SQRT2;
+        for(var radius=cell;;radius*=2) {
+            var found = closest(station_grid, pointDistance, x, y, Math.min(radius, farthest));
+            if(found !== null) return station(found);
+            if(!(radius < farthest)) break;
+        }
+        return null;
+    }//}}}
+
+
+    /**
+     * The segments of the branches crossing or inside a rectangle
+     *
+     * @param {Object} rect - {left, top, right, bottom}
+     *
+     * @return {Array.<Object>} the segments, ordered by branch and piece
+    */
+    this.segmentsInRect = function(rect) {//{{{
+        return query(segment_grid, rect).filter(function(s) {
+            return Math.max(s.x1, s.x2) >= rect.left && Math.min(s.x1, s.x2) <= rect.right &&
+                   Math.max(s.y1, s.y2) >= rect.top && Math.min(s.y1, s.y2) <= rect.bottom;
+        }).sort(function(s1, s2) {
+            return order.get(s1) - order.get(s2);
+        });
+    }//}}}
+
+
+    /**
+     * The stations inside a rectangle
+     *
+     * @param {Object} rect - {left, top, right, bottom}
+     *
+     * @return {Array.<Object>} the stations, in the order of the diagram
+    */
+    this.nodesInRect = function(rect) {//{{{
+        return query(station_grid, rect).filter(function(item) {
+            return item.x1 >= rect.left && item.x1 <= rect.right && item.y1 >= rect.top && item.y1 <= rect.bottom;
+        }).map(function(item) {
+            return item.station;
+        }).sort(function(s1, s2) {
+            return order.get(s1) - order.get(s2);
+        });
+    }//}}}
+}
+
+
+module.exports = TDiagramIndex;
@@ -0,0 +1,170 @@
+/**
+ * @module specimen
+ *
+ * Saving and restoring optimized layouts. A specimen (a break genome and its
+ * broken diagram, refer to TDiagramDrawer) is saved as a JSON object following
+ * a versioned schema:
+ *
+ * ```
+ * {
+ *    schema : 't-diagram/specimen',
+ *    version : 1,
+ *    diagram : { nodes, options }, // the original diagram (refer to TDiagram.toNodes)
+ *    breaks : Object, // the break genome
+ *    geometry : Object, // the geometry of the broken diagram (refer to TDiagram.getGeometry)
+ *    cost : Object, // the cost breakdown (refer to TDiagramCost.cost), null if not graded
+ *    settings : Object // how the specimen was found: { optimizer, cost_params, options, ... }
+ * }
+ * ```
+ *
+ * The functions (custom cost terms, operators, random number generators, ...)
+ * can't be saved and are left out of the settings. An infinite total cost
+ * (given by a custom term) is saved as null.
+*/
+
+
+const TDiagram = require('./diagram');
+const TDiagramCost = require('./cost');
+const helpers = require('./helpers');
+
+
+const SCHEMA = 't-diagram/specimen';
+const VERSION = 1;
+
+
+/**
+ * Copy a value leaving the functions out
+ *
+ * @param {T} x
+ *
+ * @return {T}
+*/
+function plain(x) {//{{{
+    if(x === null || typeof x !== 'object') return x;
+    if(Array.isArray(x)) return x.filter(function(y) { return typeof y !== 'function'; }).map(plain);
+
+    var copy = {};
+    Object.keys(x).forEach(function(k) {
+        if(typeof x[k] !== 'function') copy[k] = plain(x[k]);
+    });
+    return copy;
+}//}}}
+
+
+/**
+ * Save a specimen
+ *
+ * @param {Object} specimen - { breaks, diagram: TDiagramCost, cost }
+ * @param {Object} settings - how the specimen was found (optional)
+ *
+ * @return {Object} refer to the documentation of the module
+*/
+function toJSON(specimen, settings) {//{{{
+    var diagram = specimen.diagram;
+    var cost = specimen.cost === undefined ? null : plain(specimen.cost);
+
+    return {
+        schema: SCHEMA,
+        version: VERSION,
+        diagram: {
+            nodes: diagram.tdiagram.toNodes(),
+            options: plain(diagram.tdiagram.options)
+        },
+        breaks: helpers.deepCopy(specimen.breaks),
+        geometry: diagram.getGeometry(),
+        cost: cost,
+        settings: plain(settings || specimen.settings || {})
+    };
+}//}}}
+
+
+/**
+ * Restore a specimen: the diagram is built again and broken with the saved
+ * genome, it can be rendered without optimizing it again.
+ *
+ * @param {String|Object} json - a saved specimen
+ *
+ * @throws {Error} if it's not a saved specimen or if its version isn't supported
+ * @throws {TDiagramValidationError} if the saved diagram is invalid
+ *
+ * @return {Object} { breaks, diagram: TDiagramCost, cost, settings }, it can be
+ *                  saved again
+*/
+function fromJSON(json) {//{{{
+    var saved = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if(saved === null || typeof saved !== 'object' || saved.schema !== SCHEMA)
+        throw new Error('Not a saved specimen (the schema must be ' + SCHEMA + ')');
+    if(saved.version !== VERSION)
+        throw new Error('Unsupported specimen version: ' + saved.version + ' (supported: ' + VERSION + ')');
+
+    var diagram = new TDiagramCost(new TDiagram(saved.diagram.nodes, saved.diagram.options));
+    diagram.introduceBreaks(saved.breaks);
+
+    var cost = saved.cost === null ? undefined : helpers.deepCopy(saved.cost);
+    if(cost !== undefined && cost.total === null) cost.total = Infinity;
+
+    var specimen = {
+        breaks: diagram.tdiagram.snapBreaks(TDiagramCost.normalizeBreaks(saved.breaks)),
+        diagram: diagram,
+        settings: saved.settings || {}
+    };
+    if(cost !== undefined) specimen.cost = cost;
+
+    return attach(specimen, specimen.settings);
+}//}}}
+
+
+/**
+ * The breaks of a previous layout that still apply to a diagram, to start
+ * optimizing it again after it was edited: the breaks of the nodes that the
+ * diagram no longer has are dropped, the others are kept (and snapped as the
+ * options of the diagram ask for).
+ *
+ * @param {Object} previous - a break genome or a saved specimen (its breaks are used)
+ * @param {TDiagram} tdiagram - the diagram as edited
+ *
+ * @return {Object} the break genome, in its canonical form (refer to
+ *                  TDiagramCost.normalizeBreaks)
+*/
+function inherit(previous, tdiagram) {//{{{
+    var breaks = previous !== null && typeof previous === 'object' && previous.schema === SCHEMA ?
+        previous.breaks : previous;
+    var geometry = tdiagram.getGeometry();
+
+    breaks = TDiagramCost.normalizeBreaks(breaks);
+    Object.keys(breaks).forEach(function(name) {
+        if(!Object.prototype.hasOwnProperty.call(geometry, name) || geometry[name].hidden)
+            delete breaks[name];
+    });
+
+    return tdiagram.snapBreaks(breaks);
+}//}}}
+
+
+/**
+ * Give a specimen a toJSON method, so that JSON.stringify saves it
+ *
+ * @param {Object} specimen
+ * @param {Object} settings - how the specimen was found
+ *
+ * @return {Object} the specimen
+*/
+function attach(specimen, settings) {//{{{
+    Object.defineProperty(specimen, 'toJSON', {
+        configurable: true,
+        value: function() { return toJSON(specimen, settings); }
+    });
+    return specimen;
+}//}}}
+
+
+
+module.exports = {
+    SCHEMA: SCHEMA,
+    VERSION: VERSION,
+    toJSON: toJSON,
+    fromJSON: fromJSON,
+    inherit: inherit,
+    attach: attach,
+}
@@ -0,0 +1,344 @@
+/**
+ * @module terms
+ *
+ * The terms of the cost function of TDiagramCost. The cost of a broken diagram
+ * is the weighted sum of its terms, every term being a function measuring one
+ * aspect of the layout (the lower the better). The terms are picked by name in
+ * the `terms` of the cost parameters:
+ *
+ *     terms: {
+ *         breaks: 10, // the weight of the term
+ *         aspect_ratio: { weight: 1, gamma: 2, prefered_aspect_ratio: 1.41 },
+ *         mine: { weight: 5, term: function(diagram, params) { ... } }
+ *     }
+ *
+ * A term is either a weight or an object holding its weight and its parameters,
+ * it may provide its own function with `term` (its name is then free). A term
+ * with `hard: true` is a constraint: the specimens for which it isn't 0 are
+ * disqualified (refer to TDiagramCost.cost). Without
+ * `terms`, the cost parameters alpha, beta, gamma and prefered_aspect_ratio give
+ * the weights of the breaks, intersections and aspect_ratio terms, and a `page`
+ * (with the `scale` of the diagram on it) adds a hard fit term. The aspect ratio
+ * of the page is then the prefered one, unless one is given.
+ *
+ * @type {Term} Function : TDiagramCost x Object -> number
+ *       given the broken diagram and the parameters of the term, returns its
+ *       value. The geometry of the diagram (refer to TDiagram.getGeometry) is
+ *       diagram.geometry, it's produced on its first use: the terms that only
+ *       need the bounds, the intersections or the polylines of the layout are
+ *       cheaper.
+*/
+
+
+const TDiagramRenderer = require('./renderer');
+const helpers = require('./helpers');
+const page = require('./page');
+
+
+/**
+ * Read a parameter of a term
+ *
+ * @param {Object} params - the parameters of the term
+ * @param {String} key
+ * @param {*} fallback - the value when the parameter is not provided
+ *
+ * @return {*}
+*/
+function param(params, key, fallback) {//{{{
+    return params[key] === undefined ? fallback : params[key];
+}//}}}
+
+
+/**
+ * The built-in terms
+*/
+const registry = {
+    /**
+     * The square of the number of breaks
+     *
+     * @type {Term}
+    */
+    breaks: function(diagram) {//{{{
+        return Math.pow(diagram.num_branches, 2);
+    },//}}}
+
+
+    /**
+     * The number of intersections, every type of intersection (crossings,
+     * touches and overlaps) can be given its own factor (1 by default)
+     *
+     * @type {Term}
+    */
+    intersections: function(diagram, params) {//{{{
+        var counts = diagram.intersections();
+        return counts.crossings * param(params, 'crossings', 1) +
+               counts.touches * param(params, 'touches', 1) +
+               counts.overlaps * param(params, 'overlaps', 1);
+    },//}}}
+
+
+    /**
+     * How far the aspect ratio (width / height) is from the prefered one
+     * (`prefered_aspect_ratio`, 1 by default): exp(r)^gamma - 1 where r is the
+     * ratio of the largest to the smallest of both, `gamma` defaults to 1
+     *
+     * @type {Term}
+    */
+    aspect_ratio: function(diagram, params) {//{{{
+        var prefered = param(params, 'prefered_aspect_ratio', 1);
+        var ar_diagram = diagram.getCanvasWidth() / diagram.getCanvasHeight();
+        var ar = Math.exp(Math.max(ar_diagram, prefered) / Math.min(ar_diagram, prefered));
+        return Math.pow(ar, param(params, 'gamma', 1)) - 1;
+    },//}}}
+
+
+    /**
+     * The area of the bounding box of the diagram
+     *
+     * @type {Term}
+    */
+    area: function(diagram) {//{{{
+        return diagram.getCanvasWidth() * diagram.getCanvasHeight();
+    },//}}}
+
+
+    /**
+     * How much the diagram overflows a page (the `page` parameter, refer to the
+     * page module) when a unit of the diagram is `scale` units of the page (1
+     * by default): the overflow relative to the area inside the margins, 0 if
+     * the diagram fits. The labels are not taken into account.
+     *
+     * @type {Term}
+    */
+    fit: function(diagram, params) {//{{{
+        return page.overflow(diagram.getBounds(), params.page, param(params, 'scale', 1));
+    },//}}}
+
+
+    /**
+     * How much the segments of the branches are shorter than `min_length`
+     * (10 by default): the sum of the missing lengths
+     *
+     * @type {Term}
+    */
+    short_segments: function(diagram, params) {//{{{
+        var min_length = param(params, 'min_length', 10);
+        var polylines = diagram.layout.polylines();
+
+        return Object.keys(polylines).reduce(function(total, name) {
+            var points = polylines[name];
+            for(var i=1;i<points.length;i++) {
+                var length = Math.abs(points[i].x - points[i-1].x) + Math.abs(points[i].y - points[i-1].y);
+                if(length > 0 && length < min_length) total += min_length - length;
+            }
+            return total;
+        }, 0);
+    },//}}}
+
+
+    /**
+     * The number of overlaps of the labels with the branches, the stations
+     * and the other labels once placed by the renderer (the theme of the
+     * renderer is the `theme` parameter). It needs the geometry and it's
+     * quadratic in the number of stations.
+     *
+     * @type {Term}
+    */
+    label_overlap: function(diagram, params) {//{{{
+        var labels = new TDiagramRenderer(params.theme).placeLabels(diagram.geometry);
+        return Object.keys(labels).reduce(function(total, name) {
+            return total + labels[name].collisions;
+        }, 0);
+    },//}}}
+
+
+    /**
+     * How much the layout lacks clearance: every pair of parallel segments and
+     * every pair of a station and a segment closer than `min_clearance` (5 by
+     * default) adds the missing distance divided by min_clearance, refer to
+     * TDiagramCost.clearanceViolations
+     *
+     * @type {Term}
+    */
+    clearance: function(diagram, params) {//{{{
+        var min_clearance = param(params, 'min_clearance', 5);
+        return diagram.clearanceViolations(min_clearance).reduce(function(total, pair) {
+            return total + (min_clearance - pair.distance) / min_clearance;
+        }, 0);
+    },//}}}
+
+
+    /**
+     * How unbalanced the bends are, to prefer symmetric layouts: the difference
+     * between the numbers of breaks turning left and right, divided by the
+     * number of breaks (0 without any break)
+     *
+     * @type {Term}
+    */
+    symmetry: function(diagram) {//{{{
+        var breaks = diagram.layout.breaks;
+        var balance = 0;
+        var count = 0;
+
+        Object.keys(breaks).forEach(function(name) {
+            breaks[name].forEach(function(b) {
+                balance += b.direction == 'left' ? 1 : -1;
+                count++;
+            });
+        });
+
+        return count == 0 ? 0 : Math.abs(balance) / count;
+    },//}}}
+
+
+    /**
+     * How far the breaks are from the ones of a previous layout (the `breaks`
+     * parameter, a break genome or a saved specimen, brought to its canonical
+     * form by resolve), so that the layout changes gradually from
+     * one edition of the diagram to the next: the breaks are compared in order
+     * on every branch, a break turning the same way costs the distance between
+     * both positions and any other break (added, removed or flipped) costs 1.
+     * The nodes the diagram no longer has are ignored.
+     *
+     * @type {Term}
+    */
+    stability: function(diagram, params) {//{{{
+        var current = diagram.layout.breaks;
+        var previous = params.breaks || {};
+        var nodes = diagram.layout.base.nodes;
+        var total = 0;
+
+        Object.keys(current).concat(Object.keys(previous).filter(function(name) {
+            return !(name in current) && name in nodes;
+        })).forEach(function(name) {
+            var now = current[name] || [];
+            var before = Object.prototype.hasOwnProperty.call(previous, name) ? previous[name] : [];
+            for(var i=0;i<Math.max(now.length, before.length);i++) {
+                if(i < now.length && i < before.length && now[i].direction == before[i].direction)
+                    total += Math.abs(now[i].at - before[i].at);
+                else
+                    total += 1;
+            }
+        });
+
+        return total;
+    },//}}}
+};
+
+
+// the names of the built-in terms, the only ones the workers know
+const BUILT_IN = Object.keys(registry);
+
+
+/**
+ * Add a term to the registry, it can then be used by name. The terms added
+ * are not known by the workers of TDiagramDrawer.
+ *
+ * @param {String} name
+ * @param {Term} term
+*/
+function register(name, term) {//{{{
+    if(typeof term !== 'function') throw new Error('The cost term ' + name + ' is not a function');
+    registry[name] = term;
+}//}}}
+
+
+/**
+ * The breaks of a previous layout in their canonical form (refer to the
+ * stability term)
+ *
+ * @param {Object} previous - a break genome or a saved specimen
+ *
+ * @return {Object}
+*/
+function previousBreaks(previous) {//{{{
+    // required here since both require this module
+    const specimens = require('./specimen');
+    const TDiagramCost = require('./cost');
+
+    var breaks = previous !== null && typeof previous === 'object' && previous.schema === specimens.SCHEMA ?
+        previous.breaks : previous;
+    return TDiagramCost.normalizeBreaks(breaks);
+}//}}}
+
+
+/**
+ * Turn cost parameters into the list of the terms to compute
+ *
+ * @param {Object} cost_params - { terms } or { alpha, beta, gamma, prefered_aspect_ratio,
+ *                                page, scale }
+ *
+ * @throws {Error} if a term is unknown or a hard term has no positive weight
+ *
+ * @return {Array.<Object>} { name, weight, hard, term, params }
+*/
+function resolve(cost_params) {//{{{
+    var terms = cost_params.terms;
+    if(terms === undefined) {
+        var prefered = cost_params.prefered_aspect_ratio;
+        if(prefered === undefined && cost_params.page !== undefined) {
+            var p = page.resolve(cost_params.page);
+            prefered = p.width / p.height;
+        }
+
+        terms = {
+            breaks: cost_params.alpha,
+            intersections: cost_params.beta,
+            aspect_ratio: { weight: 1, gamma: cost_params.gamma, prefered_aspect_ratio: prefered }
+        };
+        if(cost_params.page !== undefined)
+            terms.fit = { weight: 1, hard: true, page: cost_params.page, scale: cost_params.scale };
+    }
+
+    return Object.keys(terms).map(function(name) {
+        var params = typeof terms[name] === 'object' && terms[name] !== null ? terms[name] : { weight: terms[name] };
+        var term = params.term ||
+            (Object.prototype.hasOwnProperty.call(registry, name) ? registry[name] : undefined);
+
+        if(typeof term !== 'function')
+            throw new Error('Unknown cost term: ' + name +
+                            ' (available: ' + Object.keys(registry).join(', ') + ')');
+
+        if(term === registry.stability)
+            params = helpers.extendObjs(params, { breaks: previousBreaks(params.breaks) });
+
+        // a hard term without weight would disqualify for free
+        var weight = param(params, 'weight', 1);
+        if(params.hard === true && !(weight > 0))
+            throw new Error('The hard cost term ' + name + ' needs a positive weight, got ' + weight);
+
+        return {
+            name: name,
+            weight: weight,
+            hard: params.hard === true,
+            term: term,
+            params: params
+        };
+    });
+}//}}}
+
+
+/**
+ * Find the terms of cost parameters that are not built-in (they provide their
+ * own function or were registered), the workers can't compute them
+ *
+ * @param {Object} cost_params
+ *
+ * @return {Array.<String>} their names
+*/
+function custom(cost_params) {//{{{
+    var terms = cost_params.terms || {};
+    return Object.keys(terms).filter(function(name) {
+        var own = terms[name] !== null && typeof terms[name] === 'object' && terms[name].term !== undefined;
+        return own || BUILT_IN.indexOf(name) < 0;
+    });
+}//}}}
+
+
+
+module.exports = {
+    registry: registry,
+    register: register,
+    resolve: resolve,
+    custom: custom,
+}
@@ -0,0 +1,223 @@
+/**
+ * @module validation
+ *
+ * Validation of the diagrams provided by the user. The checks performed here
+ * are the ones that, if violated, would silently produce a broken geometry.
+*/
+
+const DIRECTIONS = ['left', 'right'];
+
+
+/**
+ * The error thrown when a diagram does not pass the validation. The list of
+ * problems is available in the `errors` property, every problem looks like:
+ *
+ * ```
+ * {
+ *    node : string, // the name of the offending node (null if it has none)
+ *    index : number, // the index of the node in the list
+ *    field : string, // the offending field of the node
+ *    message : string // a human readable description of the problem
+ * }
+ * ```
+ *
+ * @param {Array.<Object>} errors - the list of problems found
+*/
+function TDiagramValidationError(errors) {
+    this.name = 'TDiagramValidationError';
+    this.errors = errors;
+    this.message = 'Invalid diagram:\n' + errors.map(function(e) {
+        return '  - ' + (e.node === null ? '#' + e.index : e.node) +
+               (e.field ? '.' + e.field : '') + ': ' + e.message;
+    }).join('\n');
+
+    if(typeof Error.captureStackTrace === 'function')
+        Error.captureStackTrace(this, TDiagramValidationError);
+    else
+        this.stack = (new Error(this.message)).stack;
+}
+
+TDiagramValidationError.prototype = Object.create(Error.prototype);
+TDiagramValidationError.prototype.constructor = TDiagramValidationError;
+
+
+/**
+ * Check whether a value is a finite number
+ *
+ * @param {*} x
+ *
+ * @return {boolean}
+*/
+function isNumber(x) {//{{{
+    return typeof x === 'number' && isFinite(x);
+}//}}}
+
+
+/**
+ * Check whether a value is considered empty (used for the optional fields)
+ *
+ * @param {*} x
+ *
+ * @return {boolean}
+*/
+function isEmpty(x) {//{{{
+    return x === null || x === undefined || x === '';
+}//}}}
+
+
+/**
+ * Validate a diagram (refer to the TDiagram class for the format of the
+ * diagram). This function never throws, it returns the list of every problem
+ * found so that it can be called on partial input (e.g. while the user types).
+ *
+ * The following checks are made:
+ * 1. every node is an object with a non-empty and unique name
+ * 2. the direction of every non-root node is 'left' or 'right'
+ * 3. the length is a non-negative number
+ * 4. the parent of every non-root node exists and is listed before it (BFS order)
+ * 5. branch_at, if provided, is a number between 0 and the length of the parent
+ * 6. seq, if branch_at is not provided, is a non-negative integer smaller than
+ *    the number of children of the parent and not used by another child of
+ *    the same parent (optional for the roots, they start at the origin of
+ *    their tree)
+ *
+ * @param {Array.<Object>} nodes - the diagram to validate
+ *
+ * @return {Array.<Object>} the list of problems, empty if the diagram is valid
+*/
+function validate(nodes) {//{{{
+    var errors = [];
+
+    if(!Array.isArray(nodes)) {
+        return [{ node: null, index: -1, field: null,
+                  message: 'the diagram must be an array of nodes' }];
+    }
+
+    function report(node, index, field, message) {
+        errors.push({
+            node: node !== null && typeof node === 'object' && !isEmpty(node.name) ? node.name : null,
+            index: index,
+            field: field,
+            message: message
+        });
+    }
+
+    // the index at which every name was first seen (without a prototype, the
+    // names may be any string, 'constructor' included)
+    var positions = Object.create(null);
+    nodes.forEach(function(node, index) {
+        if(node === null || typeof node !== 'object') return;
+        if(!isEmpty(node.name) && !(node.name in positions)) positions[node.name] = index;
+    });
+
+    // the number of children of every parent and the sibling holding every seq
+    var siblings = Object.create(null);
+    var seqs = Object.create(null);
+    nodes.forEach(function(node) {
+        if(node === null || typeof node !== 'object' || isEmpty(node.parent)) return;
+        siblings[node.parent] = (siblings[node.parent] || 0) + 1;
+    });
+
+    var seen = Object.create(null);
+    nodes.forEach(function(node, index) {
+        if(node === null || typeof node !== 'object' || Array.isArray(node)) {
+            report(node, index, null, 'the node must be an object');
+            return;
+        }
+
+        var is_root = isEmpty(node.parent);
+
+        // 1. the name
+        if(isEmpty(node.name)) {
+            report(node, index, 'name', 'the name is required');
+        } else if(typeof node.name !== 'string' && !isNumber(node.name)) {
+            report(node, index, 'name', 'the name must be a string');
+        } else if(node.name in seen) {
+            report(node, index, 'name', 'the name is already used by the node at index ' +
+                                        positions[node.name]);
+        }
+
+        // 2. the direction
+        if(!is_root && DIRECTIONS.indexOf(node.direction) < 0) {
+            report(node, index, 'direction', "the direction must be 'left' or 'right', got " +
+                                             JSON.stringify(node.direction));
+        } else if(is_root && !isEmpty(node.direction) && DIRECTIONS.indexOf(node.direction) < 0) {
+            report(node, index, 'direction', "the direction must be 'left', 'right' or empty, got " +
+                                             JSON.stringify(node.direction));
+        }
+
+        // 3. the length
+        if(!isNumber(node.length)) {
+            report(node, index, 'length', 'the length must be a number');
+        } else if(node.length < 0) {
+            report(node, index, 'length', 'the length must not be negative');
+        }
+
+        // 4. the parent
+        var parent = null;
+        if(!is_root) {
+            if(!(node.parent in positions)) {
+                report(node, index, 'parent', 'the parent ' + JSON.stringify(node.parent) + ' does not exist');
+            } else if(node.parent === node.name) {
+                report(node, index, 'parent', 'the node cannot be its own parent');
+            } else if(positions[node.parent] > index) {
+                report(node, index, 'parent', 'the parent ' + JSON.stringify(node.parent) +
+                                              ' must be listed before its children');
+            } else {
+                parent = nodes[positions[node.parent]];
+            }
+        }
+
+        // 5. branch_at
+        if(!isEmpty(node.branch_at)) {
+            if(!isNumber(node.branch_at)) {
+                report(node, index, 'branch_at', 'branch_at must be a number');
+            } else if(node.branch_at < 0) {
+                report(node, index, 'branch_at', 'branch_at must not be negative');
+            } else if(parent !== null && isNumber(parent.length) && node.branch_at > parent.length) {
+                report(node, index, 'branch_at', 'branch_at (' + node.branch_at + ') exceeds the length ' +
+                                                 'of the parent (' + parent.length + ')');
+            }
+        }
+
+        // 6. seq
+        else if(!is_root && !(isNumber(node.seq) && node.seq >= 0 && Math.floor(node.seq) === node.seq)) {
+            report(node, index, 'seq', 'seq must be a non-negative integer when branch_at is not provided');
+        } else if(!is_root && node.seq >= siblings[node.parent]) {
+            report(node, index, 'seq', 'seq (' + node.seq + ') must be less than the number of ' +
+                                       'children of the parent (' + siblings[node.parent] + ')');
+        } else if(!is_root) {
+            var used = seqs[node.parent] || (seqs[node.parent] = Object.create(null));
+            if(node.seq in used)
+                report(node, index, 'seq', 'seq ' + node.seq + ' is already used by the sibling at index ' +
+                                           used[node.seq]);
+            else
+                used[node.seq] = index;
+        }
+
+        if(!isEmpty(node.name)) seen[node.name] = true;
+    });
+
+    return errors;
+}//}}}
+
+
+/**
+ * Validate a diagram and throw a TDiagramValidationError if it is invalid.
+ *
+ * @param {Array.<Object>} nodes - the diagram to validate
+ *
+ * @throws {TDiagramValidationError}
+*/
+function assertValid(nodes) {//{{{
+    var errors = validate(nodes);
+    if(errors.length > 0) throw new TDiagramValidationError(errors);
+}//}}}
+
+
+
+module.exports = {
+    TDiagramValidationError: TDiagramValidationError,
+    validate: validate,
+    assertValid: assertValid,
+}
@@ -0,0 +1,62 @@
+/**
+ * @module worker
+ *
+ * The script run by the workers of TDiagramWorkerPool. It understands two
+ * messages:
+ *
+ * - { type: 'init', id, nodes, options, cost_params }: the diagram to work on,
+ *   the answer is { id } (or { id, error } if the diagram can't be built)
+ * - { type: 'grade', id, genomes }: grade a list of break genomes, the answer
+ *   is { id, costs } (or { id, error } if something went wrong)
+ *
+ * It runs as a worker_threads worker in Node and as a Web Worker in the browser.
+*/
+const TDiagram = require('./diagram');
+const TDiagramCost = require('./cost');
+
+var tdiagram = null;
+var cost_params = null;
+
+
+/**
+ * Handle a message of the pool
+ *
+ * @param {Object} message
+ *
+ * @return {Object} the answer
+*/
+function handle(message) {//{{{
+    try {
+        if(message.type == 'init') {
+            tdiagram = new TDiagram(message.nodes, message.options);
+            cost_params = message.cost_params;
+            return { id: message.id };
+        }
+
+        if(tdiagram === null) throw new Error('the worker was not initialized');
+
+        return {
+            id: message.id,
+            costs: message.genomes.map(function(breaks) {
+                var specimen = new TDiagramCost(tdiagram);
+                specimen.introduceBreaks(breaks);
+                return specimen.cost(cost_params);
+            })
+        };
+    } catch(e) {
+        return { id: message.id, error: e.message };
+    }
+}//}}}
+
+
+const parentPort = typeof self === 'undefined' ? require('worker_threads').parentPort : null;
+
+if(parentPort) {
+    parentPort.on('message', function(message) {
+        parentPort.postMessage(handle(message));
+    });
+} else {
+    self.onmessage = function(e) {
+        self.postMessage(handle(e.data));
+    };
+}